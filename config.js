@@ -16,15 +16,49 @@ module.exports = {
             status: 'dnd' // online, idle, dnd, invisible
         }
     },
+    // السيرفر الأساسي، أي سيرفر ثاني لازم ينضاف في allowedGuildIds أو من الداشبورد وبعدها يتضبط من داخله بالأمر -bc guild وتنحفظ إعداداته في guilds.json
     server: {
         guildId: 'ID',         // ايدي السيرفر
         broadcastRoleId: 'ID', // ايدي الرول اللي يستخدم عليها البوت
-        reportChannelId: 'ID' // ايدي الروم اللي يرسل فيه البوت التقارير
+        reportChannelId: 'ID', // ايدي الروم اللي يرسل فيه البوت التقارير
+        allowedGuildIds: []    // ايديات السيرفرات الإضافية المسموح لها تستخدم البوت
     },
     broadcast: {
         cooldownTime: 1000, // لا تلعب فيها
         memberCooldown: 100, // لا تلعب فيها
-        requestsPerSecond: 1 // لا تلعب فيها
+        requestsPerSecond: 1, // لا تلعب فيها
+        maxRatePerClient: 2, // أقصى عدد رسائل في الثانية لكل بوت عند عدم وجود ضغط من ديسكورد
+        minRatePerClient: 0.2, // أقل سرعة يبطئ لها البوت عند الوصول لحدود ديسكورد
+        maxRetries: 3, // عدد مرات إعادة المحاولة للأخطاء المؤقتة (0 لتعطيلها)
+        retryBaseDelay: 5000, // مدة الانتظار قبل أول إعادة محاولة وتتضاعف كل مرة
+        health: {
+            window: 25, // عدد آخر الرسائل اللي تنحسب منها نسبة الأخطاء لكل بوت
+            maxErrorRate: 0.8, // نسبة الأخطاء اللي يتم عندها عزل البوت
+            maxDisconnects: 3, // عدد مرات انقطاع البوت عن ديسكورد قبل عزله
+            disconnectWindow: 10 * 60 * 1000, // المدة اللي تنحسب فيها مرات الانقطاع
+            quarantineTime: 15 * 60 * 1000 // مدة العزل قبل ما يرجع البوت للعمل
+        },
+        frequencyCap: {
+            maxBroadcasts: 0, // أقصى عدد برودكاست يوصل لنفس العضو خلال المدة (0 لتعطيله)
+            window: 24 * 60 * 60 * 1000 // المدة اللي ينحسب فيها الحد
+        },
+        invalidRequests: {
+            window: 10 * 60 * 1000, // المدة اللي تنحسب فيها الطلبات الغير صالحة (401/403/429)
+            tripAt: 5000, // عدد الطلبات اللي يتوقف عندها كل البرودكاست (ديسكورد يحظر الـ IP عند 10000)
+            resumeBelow: 2000 // يرجع الإرسال تلقائياً لما ينزل العدد تحت هذا الرقم
+        },
+        maxAttachments: 10, // أقصى عدد للمرفقات في البرودكاست
+        maxAttachmentSize: 8 * 1024 * 1024, // أقصى حجم إجمالي للمرفقات بالبايت
+        signature: '{user}' // التوقيع اللي ينضاف آخر كل رسالة (اتركه فاضي لإلغائه)
+    },
+
+    storage: {
+        dataDir: process.env.DATA_DIR || 'data' // مجلد حفظ سجل البرودكاست والإحصائيات
+    },
+
+    scheduler: {
+        defaultTimezone: 'Asia/Riyadh', // المنطقة الزمنية الافتراضية للبرودكاست المجدول (IANA او +03:00)
+        checkInterval: 30000 // كل كم ملي ثانية يتحقق من البرودكاست المجدول
     },
 
     verification: {
@@ -35,6 +69,7 @@ module.exports = {
     dashboard: {
         enabled: true,
         port: process.env.DASHBOARD_PORT || 3000,
+        host: process.env.DASHBOARD_HOST || '127.0.0.1', // استخدم 0.0.0.0 لفتح الداشبورد من خارج الجهاز
         apiKey: process.env.DASHBOARD_API_KEY || '',
         refreshInterval: 5000
     },
@@ -1,8 +1,10 @@
-const { Client, Intents } = require('discord.js');
 const config = require('./config');
 const { createLogger } = require('./src/utils/helpers');
 const languageManager = require('./src/models/LanguageManager');
 const broadcastManager = require('./src/models/BroadcastManager');
+const broadcastScheduler = require('./src/models/BroadcastScheduler');
+const clientManager = require('./src/models/ClientManager');
+const guildSettings = require('./src/models/GuildSettings');
 const broadcastController = require('./src/controllers/BroadcastController');
 const verificationController = require('./src/controllers/VerificationController');
 const DashboardServer = require('./src/dashboard/DashboardServer');
@@ -12,7 +14,6 @@ const logger = createLogger('Main');
 
 languageManager.setDefaultLanguage(config.bot.defaultLanguage);
 
-const clients = [];
 let dashboardServer = null;
 let uptimeService = null;
 const initializeClients = async () => {
@@ -23,6 +24,7 @@ const initializeClients = async () => {
         process.exit(1);
     }
     
+    const clients = [];
     let successfulLogins = 0;
     
     for (const token of config.bot.tokens) {
@@ -31,21 +33,8 @@ const initializeClients = async () => {
             continue;
         }
 
-        const client = new Client({
-            intents: [
-                Intents.FLAGS.GUILDS,
-                Intents.FLAGS.GUILD_MESSAGES,
-                Intents.FLAGS.GUILD_MEMBERS,
-                Intents.FLAGS.GUILD_PRESENCES,
-                Intents.FLAGS.DIRECT_MESSAGES
-            ],
-            partials: ['CHANNEL']
-        });
-        
-        setupEventListeners(client);
-        
         try {
-            await client.login(token);
+            const client = await clientManager.login(token);
             clients.push(client);
             successfulLogins++;
             logger.info(`Client logged in: ${client.user.tag} (${successfulLogins}/${config.bot.tokens.filter(Boolean).length})`);
@@ -57,6 +46,8 @@ const initializeClients = async () => {
     if (clients.length > 0) {
         await broadcastManager.initialize(clients);
         logger.info(`Successfully initialized ${clients.length} clients for broadcasting`);
+        await broadcastController.announcePendingCheckpoints(clients[0]);
+        await broadcastController.registerSlashCommands(clients[0]);
     } else {
         logger.error('No clients were able to log in. Please check your tokens in config.js');
         process.exit(1);
@@ -84,31 +75,19 @@ const setupEventListeners = (client) => {
         logger.warn(`Client warning: ${client.user?.tag || 'Unknown'}`, warning);
     });
     
-    client.on('messageCreate', async (message) => {
-        if (clients.length > 0 && client !== clients[0]) return;
+    const handleMessage = async (message) => {
+        if (!clientManager.isPrimary(client)) return;
         
         if (message.author.bot) return;
 
         if (message.content === '-wick') {
-            if (!message.guild || message.guild.id !== config.server.guildId) {
+            if (!message.guild || !guildSettings.isConfigured(message.guild.id)) {
                 return message.reply(languageManager.translate('messages.invalidGuild'));
             }
 
             try {
                 logger.info('Fetching guild members for test command...');
-                await message.guild.members.fetch();
-                const members = message.guild.members.cache.filter(member => !member.user.bot);
-                logger.info(`Test Command: Fetched ${members.size} members.`);
-                
-                const totalBots = clients.length;
-                const estimatedSpeed = config.broadcast.requestsPerSecond * totalBots;
-                const estimatedTime = Math.ceil(members.size / estimatedSpeed);
-                
-                message.reply(languageManager.translate('messages.testResults', 
-                    members.size,
-                    totalBots,
-                    estimatedSpeed,
-                    estimatedTime));
+                message.reply(await broadcastController.describeCapacity(message.guild));
             } catch (error) {
                 logger.error('Error fetching members during test command:', error);
                 message.reply(languageManager.translate('messages.testError'));
@@ -123,11 +102,14 @@ const setupEventListeners = (client) => {
 
         if (message.content.startsWith('-lang ')) {
             const langCode = message.content.split(' ')[1]?.toLowerCase();
-            if (langCode && languageManager.getAllLanguages()[langCode]) {
-                languageManager.setDefaultLanguage(langCode);
+            const languageError = broadcastController.getLanguageError(message.guild, message.member);
+            if (languageError) {
+                message.reply({ embeds: [languageError] });
+            } else if (langCode && languageManager.getAllLanguages()[langCode]) {
+                broadcastController.setLanguage(message.guild, langCode);
                 
-                message.reply(languageManager.translate('system.languageUpdated', 
-                    languageManager.getLanguage().language.native));
+                message.reply(languageManager.run(langCode, () => languageManager.translate('system.languageUpdated', 
+                    languageManager.getLanguage().language.native)));
                 
                 logger.info(`Language changed to ${langCode} by ${message.author.tag}`);
             } else {
@@ -140,10 +122,25 @@ const setupEventListeners = (client) => {
             await broadcastController.handleCommand(message);
             return;
         }
-    });
-    
-    client.on('interactionCreate', async (interaction) => {
-        if (clients.length > 0 && client !== clients[0]) return;
+    };
+
+    const handleInteraction = async (interaction) => {
+        if (interaction.isButton() && interaction.customId.startsWith('optout_unsubscribe')) {
+            await broadcastController.handleOptOutButton(interaction);
+            return;
+        }
+
+        if (interaction.isButton() && interaction.customId.startsWith('optout_resubscribe')) {
+            await broadcastController.handleResubscribeButton(interaction);
+            return;
+        }
+
+        if (!clientManager.isPrimary(client)) return;
+
+        if (interaction.isCommand()) {
+            await broadcastController.handleSlashCommand(interaction);
+            return;
+        }
 
         if (interaction.isButton()) {
             const handled = await verificationController.handleButtonInteraction(interaction);
@@ -156,11 +153,29 @@ const setupEventListeners = (client) => {
             await broadcastController.handleSelectMenuInteraction(interaction);
             return;
         }
-    });
+
+        if (interaction.isModalSubmit()) {
+            await broadcastController.handleModalSubmit(interaction);
+            return;
+        }
+    };
+
+    client.on('messageCreate', (message) => languageManager.run(
+        guildSettings.getLanguage(message.guild?.id),
+        () => handleMessage(message)
+    ));
+
+    client.on('interactionCreate', (interaction) => languageManager.run(
+        guildSettings.getLanguage(interaction.guild?.id),
+        () => handleInteraction(interaction)
+    ));
 
     client.on('guildMemberUpdate', async (oldMember, newMember) => {
-        if (clients.length > 0 && client !== clients[0]) return;
-        await verificationController.handleGuildMemberUpdate(oldMember, newMember);
+        if (!clientManager.isPrimary(client)) return;
+        await languageManager.run(
+            guildSettings.getLanguage(newMember.guild?.id),
+            () => verificationController.handleGuildMemberUpdate(oldMember, newMember)
+        );
     });
 };
 
@@ -176,13 +191,21 @@ process.on('unhandledRejection', (reason, promise) => {
     logger.info('Starting Wick Broadcast system...');
     
     try {
+        clientManager.configure({
+            setupClient: setupEventListeners,
+            onPrimaryChange: (client) => broadcastController.registerSlashCommands(client)
+        });
         await initializeClients();
 
+        broadcastScheduler.start();
+
         dashboardServer = new DashboardServer({
             config,
             broadcastManager,
+            broadcastScheduler,
             languageManager,
-            clients
+            clientManager,
+            guildSettings
         });
         dashboardServer.start();
 
@@ -200,9 +223,9 @@ process.on('unhandledRejection', (reason, promise) => {
                                        https://discord.gg/wicks
 
 🚀 ${languageManager.translate('system.appTitle')} v2.0
-🤖 ${languageManager.translate('system.activeClients')}: ${clients.length}
-⚡ ${languageManager.translate('system.broadcastCapacity')}: ~${config.broadcast.requestsPerSecond * clients.length} ${languageManager.translate('system.membersPerSecond')}
-📨 ${languageManager.translate('system.commands')}: -bc, -language, -wick
+🤖 ${languageManager.translate('system.activeClients')}: ${broadcastManager.clients.length}
+⚡ ${languageManager.translate('system.broadcastCapacity')}: ~${config.broadcast.requestsPerSecond * broadcastManager.clients.length} ${languageManager.translate('system.membersPerSecond')}
+📨 ${languageManager.translate('system.commands')}: -bc, -language, -wick, /broadcast, /language, /capacity
 🖥️ Dashboard: ${config.dashboard.enabled ? `http://localhost:${config.dashboard.port}${config.dashboard.apiKey ? '?key=' + config.dashboard.apiKey : ''}` : languageManager.translate('system.disabled')}
 🛡️ Uptime Monitor: ${config.uptime.enabled ? (config.uptime.pingUrl ? 'External heartbeat active' : 'Internal heartbeat active') : languageManager.translate('system.disabled')}
 `);
@@ -216,9 +239,15 @@ process.on('unhandledRejection', (reason, promise) => {
 const gracefulShutdown = (signal) => {
     logger.warn(`Received ${signal}. Shutting down gracefully...`);
 
+    const interruptedJobs = broadcastManager.getActiveJobs();
+    if (interruptedJobs.length > 0) {
+        logger.warn(`${interruptedJobs.length} broadcast(s) interrupted. Progress is checkpointed and can be resumed on next start: ${interruptedJobs.map(job => job.id).join(', ')}`);
+    }
+
     try {
         dashboardServer?.stop?.();
         uptimeService?.stop?.();
+        broadcastScheduler.stop();
     } finally {
         process.exit(0);
     }
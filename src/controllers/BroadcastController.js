@@ -1,12 +1,32 @@
-const { MessageEmbed, MessageActionRow, MessageButton, MessageSelectMenu } = require('discord.js');
+const { MessageEmbed, MessageActionRow, MessageButton, MessageSelectMenu, Modal, TextInputComponent } = require('discord.js');
 const config = require('../../config');
 const broadcastManager = require('../models/BroadcastManager');
+const broadcastScheduler = require('../models/BroadcastScheduler');
 const languageManager = require('../models/LanguageManager');
-const { createLogger } = require('../utils/helpers');
+const optOutList = require('../models/OptOutList');
+const clientManager = require('../models/ClientManager');
+const clientHealth = require('../models/ClientHealth');
+const clientPacer = require('../models/ClientPacer');
+const frequencyCap = require('../models/FrequencyCap');
+const guildSettings = require('../models/GuildSettings');
+const { createLogger, formatTime } = require('../utils/helpers');
+const { parseDateTime, parseCron, resolveTimeZone } = require('../utils/schedule');
+const { FILTER_FLAGS, resolveTargetMembers, matchesFilters, matchesRoleFilter } = require('../utils/targets');
+const { parseEmbedSpec, validateEmbedSpec, renderEmbedSpec, getEmbedTexts, buildBroadcastEmbed } = require('../utils/embeds');
+const { PLACEHOLDER_NAMES, LONGEST_MEMBER, getSignature, findUnknownPlaceholders, renderTemplate, renderMessage } = require('../utils/templates');
+const { validateAttachments, storeAttachments, readAttachmentText, removeAttachments, describeAttachments } = require('../utils/attachments');
+const { parseUserIds, parseUserIdFile, isUserListFile } = require('../utils/recipients');
 
 const logger = createLogger('BroadcastController');
 const MAX_BROADCAST_LENGTH = 2000;
 const MAX_PREVIEW_LENGTH = 200;
+const MAX_HISTORY_ENTRIES = 10;
+const MAX_OPTOUT_ENTRIES = 20;
+const MAX_COMPOSE_LENGTH = 4000;
+const ROLES_PER_PAGE = 25;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_UNMATCHED_ENTRIES = 30;
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
 
 class BroadcastController {
     constructor() {
@@ -14,93 +34,1509 @@ class BroadcastController {
         this.sessions = new Map();
     }
 
+    getAccessError(guild, member) {
+        if (!guildSettings.isConfigured(guild?.id)) {
+            const key = !guild
+                ? 'messages.permissionDenied'
+                : guildSettings.isAllowed(guild.id) ? 'messages.guildNotConfigured' : 'messages.guildNotAllowed';
+            return new MessageEmbed()
+                .setColor(config.colors.error)
+                .setDescription(languageManager.translate(key));
+        }
+
+        if (!this.hasBroadcastRole(member)) {
+            return new MessageEmbed()
+                .setColor(config.colors.error)
+                .setTitle(languageManager.translate('embeds.errors.permissionDenied'))
+                .setDescription(languageManager.translate('messages.permissionDenied'));
+        }
+
+        return null;
+    }
+
+    hasBroadcastRole(member) {
+        const roleId = guildSettings.get(member?.guild?.id)?.broadcastRoleId;
+        return Boolean(roleId && member.roles.cache.has(roleId));
+    }
+
+    // Administrators and the broadcast role can pick the language of a configured
+    // server; the bot default only changes through config.bot.defaultLanguage
+    getLanguageError(guild, member) {
+        if (guildSettings.isConfigured(guild?.id) && member?.permissions.has('ADMINISTRATOR')) return null;
+        return this.getAccessError(guild, member);
+    }
+
+    setLanguage(guild, langCode) {
+        guildSettings.update(guild.id, { language: langCode });
+    }
+
+    getComposeError(broadcastMessage, embedSpec) {
+        if (!broadcastMessage) {
+            return new MessageEmbed()
+                .setColor(config.colors.error)
+                .setDescription(languageManager.translate('messages.emptyMessage'));
+        }
+
+        const unknownPlaceholders = findUnknownPlaceholders([
+            getSignature(),
+            ...(embedSpec ? getEmbedTexts(embedSpec) : [broadcastMessage])
+        ]);
+        if (unknownPlaceholders.length > 0) {
+            return new MessageEmbed()
+                .setColor(config.colors.error)
+                .setTitle(languageManager.translate('embeds.errors.unknownPlaceholders'))
+                .setDescription(languageManager.translate('messages.unknownPlaceholders',
+                    unknownPlaceholders.join(', '),
+                    PLACEHOLDER_NAMES.map(name => `{${name}}`).join(', ')));
+        }
+
+        const renderedLength = embedSpec
+            ? (renderTemplate(getSignature(), LONGEST_MEMBER) || '').length
+            : renderMessage(broadcastMessage, LONGEST_MEMBER).length;
+        if (renderedLength > MAX_BROADCAST_LENGTH) {
+            return new MessageEmbed()
+                .setColor(config.colors.error)
+                .setTitle(languageManager.translate('embeds.errors.messageTooLong'))
+                .setDescription(languageManager.translate('messages.messageTooLong', 
+                    MAX_BROADCAST_LENGTH, 
+                    renderedLength));
+        }
+
+        if (embedSpec) {
+            const errors = validateEmbedSpec(renderEmbedSpec(embedSpec, LONGEST_MEMBER));
+            if (errors.length > 0) {
+                return new MessageEmbed()
+                    .setColor(config.colors.error)
+                    .setTitle(languageManager.translate('embeds.errors.invalidEmbed'))
+                    .setDescription(errors.map(error => `• ${error}`).join('\n'));
+            }
+        }
+
+        return null;
+    }
+
+    createDraftEmbed(broadcastMessage, attachments = []) {
+        return new MessageEmbed()
+            .setColor(config.colors.primary)
+            .setTitle(languageManager.translate('embeds.broadcast.title'))
+            .setDescription(languageManager.translate('embeds.broadcast.description'))
+            .addField(
+                languageManager.translate('embeds.broadcast.messageContent'),
+                `\`\`\`${broadcastMessage.length > MAX_PREVIEW_LENGTH ? 
+                    broadcastMessage.slice(0, MAX_PREVIEW_LENGTH) + '...' : 
+                    broadcastMessage}\`\`\``
+            )
+            .addField(
+                languageManager.translate('embeds.broadcast.messageInfo'),
+                `• ${languageManager.translate('embeds.broadcast.messageLength')}: ${broadcastMessage.length}/${MAX_BROADCAST_LENGTH}`
+            )
+            .addFields(this.createAttachmentFields(attachments));
+    }
+
+    excludeAudience(userId, members) {
+        const session = this.sessions.get(userId);
+        const { members: subscribed, excludedCount } = optOutList.exclude(members, session?.guildId);
+        const { members: allowed, cappedCount } = frequencyCap.exclude(subscribed, {
+            override: Boolean(session?.urgent),
+            guildId: session?.guildId
+        });
+
+        return { members: allowed, exclusions: { excludedCount, cappedCount } };
+    }
+
+    createConfirmationEmbed(userId, broadcastMessage, audience, { excludedCount, cappedCount }) {
+        const embed = new MessageEmbed()
+            .setColor(config.colors.primary)
+            .setTitle(languageManager.translate('embeds.broadcast.title'))
+            .addField(
+                languageManager.translate('embeds.broadcast.messageContent'),
+                `\`\`\`${broadcastMessage.length > MAX_PREVIEW_LENGTH ? 
+                    broadcastMessage.slice(0, MAX_PREVIEW_LENGTH) + '...' : 
+                    broadcastMessage}\`\`\``
+            )
+            .addField(languageManager.translate('embeds.broadcast.targetAudience'), audience)
+            .addFields(this.createAttachmentFields(this.sessions.get(userId).attachments))
+            .addField(languageManager.translate('embeds.broadcast.optedOut'), `${excludedCount}`, true);
+
+        const guildId = this.sessions.get(userId).guildId;
+        if (frequencyCap.isEnabled(guildId)) {
+            const { maxBroadcasts, window } = frequencyCap.getLimits(guildId);
+            embed.addField(
+                languageManager.translate('embeds.broadcast.frequencyCapped', maxBroadcasts, formatTime(window)),
+                this.sessions.get(userId).urgent
+                    ? languageManager.translate('messages.frequencyCapOverridden', cappedCount)
+                    : `${cappedCount}`,
+                true
+            );
+        }
+
+        return embed
+            .setFooter(`Broadcast System • Multiple Clients: ${broadcastManager.clients.length}`)
+            .setTimestamp();
+    }
+
+    respond(interaction, payload) {
+        return interaction.isCommand()
+            ? interaction.reply({ ...payload, ephemeral: true })
+            : interaction.update(payload);
+    }
+
     async handleCommand(message) {
         try {
-            if (message.guild.id !== config.server.guildId) {
-                return message.reply({
-                    embeds: [
-                        new MessageEmbed()
-                            .setColor(config.colors.error)
-                            .setDescription(languageManager.translate('messages.permissionDenied'))
-                    ]
-                });
+            const guildMatch = message.content.slice(4).trim().match(/^guild(?:\s+(\S+)(?:\s+(\S+))?)?$/i);
+            if (guildMatch && message.guild) {
+                return this.handleGuildCommand(message, guildMatch[1]?.toLowerCase(), guildMatch[2]);
+            }
+
+            // Checked before the broadcast role so a pasted token is always deleted
+            const clientsMatch = message.content.slice(4).trim().match(/^clients(?:\s+(add|remove|restart)(?:\s+(\S+))?)?$/i);
+            if (clientsMatch) {
+                return this.handleClientsCommand(message, clientsMatch[1]?.toLowerCase(), clientsMatch[2]);
+            }
+
+            const accessError = this.getAccessError(message.guild, message.member);
+            if (accessError) {
+                return message.reply({ embeds: [accessError] });
+            }
+
+            let broadcastMessage = message.content.slice(4).trim();
+
+            const historyMatch = broadcastMessage.match(/^history(?:\s+(\d+))?$/i);
+            if (historyMatch) {
+                return this.handleHistoryCommand(message, Number(historyMatch[1]) || 5);
+            }
+
+            if (/^compose$/i.test(broadcastMessage)) {
+                this.clearDraft(message.author.id);
+                return message.reply({
+                    embeds: [
+                        new MessageEmbed()
+                            .setColor(config.colors.primary)
+                            .setTitle(languageManager.translate('embeds.broadcast.title'))
+                            .setDescription(languageManager.translate('messages.composePrompt'))
+                    ],
+                    components: [
+                        new MessageActionRow().addComponents(
+                            new MessageButton()
+                                .setCustomId('bc_compose')
+                                .setLabel(languageManager.translate('buttons.compose'))
+                                .setStyle('PRIMARY')
+                        )
+                    ]
+                });
+            }
+
+            if (/^resume$/i.test(broadcastMessage)) {
+                return message.reply(this.createCheckpointPrompt(message.guild.id));
+            }
+
+            const scheduleMatch = broadcastMessage.match(/^schedule(?:\s+cancel\s+(\S+))?$/i);
+            if (scheduleMatch) {
+                return this.handleScheduleCommand(message, scheduleMatch[1]);
+            }
+
+            const optOutMatch = broadcastMessage.match(/^optout(?:\s+(add|remove)\s+(\S+))?$/i);
+            if (optOutMatch) {
+                return this.handleOptOutCommand(message, optOutMatch[1]?.toLowerCase(), optOutMatch[2]);
+            }
+
+            const recurringMatch = broadcastMessage.match(/^recurring(?:\s+(pause|resume|delete|history)\s+(\S+))?$/i);
+            if (recurringMatch) {
+                return this.handleRecurringCommand(message, recurringMatch[1]?.toLowerCase(), recurringMatch[2]);
+            }
+            
+            let recipients = null;
+            let broadcastFiles = message.attachments;
+            const recipientsMatch = broadcastMessage.match(/^to\b([^\n]*)\n([\s\S]*)$/i);
+            if (recipientsMatch) {
+                recipients = parseUserIds(recipientsMatch[1]);
+                broadcastMessage = recipientsMatch[2].trim();
+                broadcastFiles = message.attachments.filter(attachment => !isUserListFile(attachment));
+
+                try {
+                    for (const attachment of message.attachments.filter(isUserListFile).values()) {
+                        const fileIds = parseUserIdFile(await readAttachmentText(attachment));
+                        recipients.ids = [...new Set([...recipients.ids, ...fileIds])];
+                    }
+                } catch (error) {
+                    logger.error(`Failed to read user list file: ${error.message}`);
+                    return message.reply({
+                        embeds: [
+                            new MessageEmbed()
+                                .setColor(config.colors.error)
+                                .setDescription(languageManager.translate('messages.userListReadFailed'))
+                        ]
+                    });
+                }
+            }
+
+            let embedSpec = null;
+            const embedMatch = broadcastMessage.match(/^embed\s*\n([\s\S]+)$/i);
+            if (embedMatch) {
+                const { spec, errors } = parseEmbedSpec(embedMatch[1]);
+                if (errors.length > 0) {
+                    return message.reply({
+                        embeds: [
+                            new MessageEmbed()
+                                .setColor(config.colors.error)
+                                .setTitle(languageManager.translate('embeds.errors.invalidEmbed'))
+                                .setDescription(errors.map(error => `• ${error}`).join('\n'))
+                        ]
+                    });
+                }
+
+                embedSpec = spec;
+                broadcastMessage = spec.description || spec.title;
+            }
+
+            const composeError = this.getComposeError(broadcastMessage, embedSpec);
+            if (composeError) {
+                return message.reply({ embeds: [composeError] });
+            }
+
+            let attachments = [];
+            if (broadcastFiles.size > 0) {
+                const errors = validateAttachments(broadcastFiles);
+                if (errors.length > 0) {
+                    return message.reply({
+                        embeds: [
+                            new MessageEmbed()
+                                .setColor(config.colors.error)
+                                .setTitle(languageManager.translate('embeds.errors.invalidAttachments'))
+                                .setDescription(errors.map(error => `• ${error}`).join('\n'))
+                        ]
+                    });
+                }
+
+                try {
+                    attachments = await storeAttachments(broadcastFiles);
+                } catch (error) {
+                    logger.error(`Failed to download broadcast attachments: ${error.message}`);
+                    return message.reply({
+                        embeds: [
+                            new MessageEmbed()
+                                .setColor(config.colors.error)
+                                .setDescription(languageManager.translate('messages.attachmentDownloadFailed'))
+                        ]
+                    });
+                }
+            }
+
+            this.discardDraft(message.author.id);
+            this.broadcasts.set(message.author.id, broadcastMessage);
+
+            if (recipients) {
+                this.sessions.set(message.author.id, {
+                    authorId: message.author.id,
+                    guildId: message.guild.id,
+                    embed: embedSpec,
+                    attachments
+                });
+
+                const reply = await message.reply(await this.createUserListConfirmation(
+                    message.author.id, message.guild, recipients.ids, recipients.invalid, broadcastMessage
+                ));
+                this.sessions.get(message.author.id).message = reply;
+
+                logger.info(`Broadcast to a list of ${recipients.ids.length} user(s) initiated by ${message.author.tag}`);
+                return;
+            }
+
+            const reply = await message.reply({
+                embeds: [this.createDraftEmbed(broadcastMessage, attachments), ...this.createPreviewEmbeds(embedSpec)],
+                components: this.createTargetButtons()
+            });
+            
+            this.sessions.set(message.author.id, {
+                message: reply,
+                authorId: message.author.id,
+                guildId: message.guild.id,
+                embed: embedSpec,
+                attachments
+            });
+            
+            logger.info(`Broadcast command initiated by ${message.author.tag}`);
+        } catch (error) {
+            logger.error(`Error handling broadcast command: ${error.message}`, error);
+            message.reply(languageManager.translate('messages.targetSelectionError'));
+        }
+    }
+
+    getSlashCommandDefinitions() {
+        const languages = languageManager.getAllLanguages();
+
+        return [
+            {
+                name: 'broadcast',
+                description: 'Send a DM broadcast to server members',
+                options: [
+                    {
+                        name: 'message',
+                        description: 'The message to send; leave empty to open the composer',
+                        type: 'STRING'
+                    },
+                    {
+                        name: 'target',
+                        description: 'Who should receive the broadcast',
+                        type: 'STRING',
+                        choices: [
+                            { name: 'All members', value: 'all' },
+                            { name: 'Online members', value: 'online' },
+                            { name: 'Offline members', value: 'offline' },
+                            { name: 'Members with a role', value: 'role' },
+                            { name: 'Specific members', value: 'user' }
+                        ]
+                    },
+                    {
+                        name: 'role',
+                        description: 'Role to broadcast to when target is "Members with a role"',
+                        type: 'ROLE'
+                    },
+                    {
+                        name: 'user',
+                        description: 'Member to message when target is "Specific members"',
+                        type: 'USER'
+                    },
+                    {
+                        name: 'users',
+                        description: 'Mentions or user IDs to message when target is "Specific members"',
+                        type: 'STRING'
+                    },
+                    {
+                        name: 'users_file',
+                        description: 'A .txt or .csv file of user IDs to message when target is "Specific members"',
+                        type: 'ATTACHMENT'
+                    }
+                ]
+            },
+            {
+                name: 'language',
+                description: 'View or change the bot language',
+                options: [
+                    {
+                        name: 'code',
+                        description: 'Language to switch to',
+                        type: 'STRING',
+                        choices: Object.values(languages).map(lang => ({ name: lang.language.name, value: lang.language.code }))
+                    }
+                ]
+            },
+            {
+                name: 'capacity',
+                description: 'Show member count, active bots and estimated broadcast time'
+            }
+        ];
+    }
+
+    async registerSlashCommands(client) {
+        await Promise.all(guildSettings.listConfigured()
+            .map(settings => this.registerGuildCommands(client, settings.guildId)));
+    }
+
+    async registerGuildCommands(client, guildId) {
+        try {
+            const guild = await client.guilds.fetch(guildId);
+            await guild.commands.set(this.getSlashCommandDefinitions());
+            logger.info(`Registered slash commands in guild ${guild.name}`);
+        } catch (error) {
+            logger.error(`Failed to register slash commands in guild ${guildId}: ${error.message}`);
+        }
+    }
+
+    async handleSlashCommand(interaction) {
+        try {
+            if (interaction.commandName === 'broadcast') {
+                await this.handleBroadcastSlashCommand(interaction);
+                return;
+            }
+
+            if (!guildSettings.isConfigured(interaction.guild?.id)) {
+                return interaction.reply({
+                    content: languageManager.translate('messages.invalidGuild'),
+                    ephemeral: true
+                });
+            }
+
+            if (interaction.commandName === 'language') {
+                const langCode = interaction.options.getString('code');
+                if (!langCode) {
+                    return interaction.reply({ ...this.createLanguagePrompt(), ephemeral: true });
+                }
+
+                const languageError = this.getLanguageError(interaction.guild, interaction.member);
+                if (languageError) {
+                    return interaction.reply({ embeds: [languageError], ephemeral: true });
+                }
+
+                this.setLanguage(interaction.guild, langCode);
+                await interaction.reply({
+                    content: languageManager.run(langCode, () => languageManager.translate('system.languageUpdated', languageManager.getLanguage().language.native)),
+                    ephemeral: true
+                });
+                logger.info(`Language changed to ${langCode} by ${interaction.user.tag}`);
+                return;
+            }
+
+            if (interaction.commandName === 'capacity') {
+                await interaction.deferReply({ ephemeral: true });
+                await interaction.editReply(await this.describeCapacity(interaction.guild));
+            }
+        } catch (error) {
+            logger.error(`Error handling slash command /${interaction.commandName}: ${error.message}`, error);
+            const payload = { content: languageManager.translate('system.errorOccurred'), ephemeral: true };
+            await (interaction.deferred || interaction.replied ? interaction.editReply(payload) : interaction.reply(payload)).catch(() => null);
+        }
+    }
+
+    async handleBroadcastSlashCommand(interaction) {
+        const accessError = this.getAccessError(interaction.guild, interaction.member);
+        if (accessError) {
+            return interaction.reply({ embeds: [accessError], ephemeral: true });
+        }
+
+        const broadcastMessage = interaction.options.getString('message')?.trim();
+        if (!broadcastMessage) {
+            this.clearDraft(interaction.user.id);
+            return interaction.showModal(this.createComposeModal(interaction.user.id));
+        }
+
+        const composeError = this.getComposeError(broadcastMessage, null);
+        if (composeError) {
+            return interaction.reply({ embeds: [composeError], ephemeral: true });
+        }
+
+        this.discardDraft(interaction.user.id);
+        this.broadcasts.set(interaction.user.id, broadcastMessage);
+        this.sessions.set(interaction.user.id, {
+            authorId: interaction.user.id,
+            guildId: interaction.guild.id,
+            embed: null,
+            attachments: []
+        });
+
+        logger.info(`Broadcast slash command initiated by ${interaction.user.tag}`);
+
+        const target = interaction.options.getString('target');
+        const role = interaction.options.getRole('role');
+        const user = interaction.options.getUser('user');
+        const usersText = interaction.options.getString('users');
+        const usersFile = interaction.options.getAttachment('users_file');
+
+        if (target === 'role' && role) {
+            return this.handleRoleSelection(interaction, role.id, broadcastMessage);
+        }
+
+        if (target === 'user' && (user || usersText || usersFile)) {
+            const recipients = parseUserIds(usersText || '');
+            if (user) recipients.ids.unshift(user.id);
+
+            if (usersFile) {
+                await interaction.deferReply({ ephemeral: true });
+                const fileIds = await readAttachmentText(usersFile).then(parseUserIdFile).catch(error => {
+                    logger.error(`Failed to read user list file: ${error.message}`);
+                    return null;
+                });
+                if (!fileIds) {
+                    return interaction.editReply({ content: languageManager.translate('messages.userListReadFailed') });
+                }
+                recipients.ids.push(...fileIds);
+            }
+
+            return this.handleUserListSelection(interaction, [...new Set(recipients.ids)], recipients.invalid, broadcastMessage);
+        }
+
+        if (target) {
+            return this.handleTargetSelection(interaction, target, broadcastMessage);
+        }
+
+        await interaction.reply({
+            embeds: [this.createDraftEmbed(broadcastMessage)],
+            components: this.createTargetButtons(),
+            ephemeral: true
+        });
+    }
+
+    async describeCapacity(guild) {
+        await guild.members.fetch();
+        const members = guild.members.cache.filter(member => !member.user.bot);
+        logger.info(`Capacity check: fetched ${members.size} members.`);
+
+        const totalBots = broadcastManager.clients.length;
+        const estimatedSpeed = clientPacer.getTotalRate(broadcastManager.clients) || config.broadcast.requestsPerSecond * totalBots;
+        const estimatedTime = Math.ceil(members.size / estimatedSpeed);
+
+        return languageManager.translate('messages.testResults',
+            members.size,
+            totalBots,
+            Number(estimatedSpeed.toFixed(1)),
+            estimatedTime);
+    }
+
+    async handleHistoryCommand(message, count) {
+        try {
+            const limit = Math.min(Math.max(count, 1), MAX_HISTORY_ENTRIES);
+            const { total, jobs } = broadcastManager.getJobHistory({ limit, guildId: message.guild.id });
+
+            const embed = new MessageEmbed()
+                .setColor(config.colors.primary)
+                .setTitle(languageManager.translate('embeds.history.title'))
+                .setTimestamp();
+
+            if (jobs.length === 0) {
+                embed.setDescription(languageManager.translate('messages.historyEmpty'));
+            } else {
+                jobs.forEach(job => {
+                    embed.addField(
+                        `${job.id} • ${new Date(job.finishedAt).toLocaleString()}`,
+                        languageManager.translate('messages.historyEntry',
+                            job.initiator || 'Unknown',
+                            job.audience || '-',
+                            job.success || 0,
+                            job.failure || 0,
+                            formatTime(job.duration || 0))
+                    );
+                });
+                embed.setFooter({ text: languageManager.translate('messages.historyFooter', jobs.length, total) });
+            }
+
+            await message.reply({ embeds: [embed] });
+            logger.info(`History command executed by ${message.author.tag}`);
+        } catch (error) {
+            logger.error(`Error handling history command: ${error.message}`, error);
+            message.reply(languageManager.translate('system.errorOccurred'));
+        }
+    }
+
+    async handleOptOutCommand(message, action, target) {
+        try {
+            if (action) {
+                const userId = target.replace(/^<@!?(\d+)>$/, '$1');
+                if (!/^\d{17,20}$/.test(userId)) {
+                    return message.reply({
+                        embeds: [
+                            new MessageEmbed()
+                                .setColor(config.colors.error)
+                                .setDescription(languageManager.translate('messages.invalidOptOutUser', target))
+                        ]
+                    });
+                }
+
+                const guildId = message.guild.id;
+                if (action === 'remove' && optOutList.isSelfService(userId, guildId)) {
+                    return message.reply({
+                        embeds: [
+                            new MessageEmbed()
+                                .setColor(config.colors.error)
+                                .setDescription(languageManager.translate('messages.optOutSelfService', `<@${userId}>`))
+                        ]
+                    });
+                }
+
+                const changed = action === 'add'
+                    ? optOutList.add(userId, guildId, `admin:${message.author.tag}`)
+                    : optOutList.remove(userId, guildId);
+                const key = action === 'add' ? 'optOutAdded' : 'optOutRemoved';
+
+                await message.reply({
+                    embeds: [
+                        new MessageEmbed()
+                            .setColor(changed ? config.colors.success : config.colors.neutral)
+                            .setDescription(languageManager.translate(changed ? `messages.${key}` : `messages.${key}Unchanged`, `<@${userId}>`))
+                    ]
+                });
+                logger.info(`Opt-out ${action} for ${userId} by ${message.author.tag}`);
+                return;
+            }
+
+            const entries = optOutList.list(message.guild.id);
+            const embed = new MessageEmbed()
+                .setColor(config.colors.primary)
+                .setTitle(languageManager.translate('embeds.optOut.title'))
+                .setTimestamp();
+
+            if (entries.length === 0) {
+                embed.setDescription(languageManager.translate('messages.optOutEmpty'));
+            } else {
+                embed.setDescription(entries.slice(0, MAX_OPTOUT_ENTRIES)
+                    .map(entry => languageManager.translate('messages.optOutEntry',
+                        `<@${entry.userId}>`,
+                        `<t:${Math.floor(entry.at / 1000)}:R>`,
+                        entry.source))
+                    .join('\n'));
+                embed.setFooter({ text: languageManager.translate('messages.optOutFooter', Math.min(entries.length, MAX_OPTOUT_ENTRIES), entries.length) });
+            }
+
+            await message.reply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`Error handling opt-out command: ${error.message}`, error);
+            message.reply(languageManager.translate('system.errorOccurred'));
+        }
+    }
+
+    describeClientStatus(client) {
+        if (clientHealth.isQuarantined(client)) {
+            return languageManager.translate('messages.clientQuarantined', clientHealth.getState(client).quarantine.reason);
+        }
+
+        return client.isReady() ? `${Math.round(client.ws.ping)} ms` : languageManager.translate('messages.clientOffline');
+    }
+
+    canManageClients(guild, member) {
+        return guild?.id === config.server.guildId && Boolean(member?.permissions.has('ADMINISTRATOR'));
+    }
+
+    createClientAddModal() {
+        return new Modal()
+            .setCustomId('clients_add_modal')
+            .setTitle(languageManager.translate('embeds.clients.title'))
+            .addComponents(
+                new MessageActionRow().addComponents(
+                    new TextInputComponent()
+                        .setCustomId('client_token')
+                        .setLabel(languageManager.translate('messages.clientTokenLabel'))
+                        .setStyle('SHORT')
+                        .setRequired(true)
+                )
+            );
+    }
+
+    async handleClientsCommand(message, action, argument) {
+        // Tokens are only taken through the form, never from chat
+        if (action === 'add' && argument) {
+            await message.delete().catch(() => null);
+        }
+
+        try {
+            if (action) {
+                if (!this.canManageClients(message.guild, message.member)) {
+                    return message.channel.send({
+                        embeds: [
+                            new MessageEmbed()
+                                .setColor(config.colors.error)
+                                .setDescription(languageManager.translate('messages.clientsAdminOnly'))
+                        ]
+                    });
+                }
+
+                if (action === 'add') {
+                    return message.channel.send({
+                        embeds: [
+                            new MessageEmbed()
+                                .setColor(argument ? config.colors.error : config.colors.primary)
+                                .setDescription(languageManager.translate(argument ? 'messages.clientTokenInChat' : 'messages.clientAddPrompt'))
+                        ],
+                        components: [
+                            new MessageActionRow().addComponents(
+                                new MessageButton()
+                                    .setCustomId('clients_add')
+                                    .setLabel(languageManager.translate('buttons.addClient'))
+                                    .setStyle('PRIMARY')
+                            )
+                        ]
+                    });
+                }
+
+                const handlers = {
+                    remove: { run: () => clientManager.remove(argument), key: 'messages.clientRemoved' },
+                    restart: { run: () => clientManager.restart(argument), key: 'messages.clientRestarted' }
+                };
+
+                let client;
+                try {
+                    client = await handlers[action].run();
+                } catch (error) {
+                    logger.warn(`Client ${action} requested by ${message.author.tag} failed: ${error.message}`);
+                    return message.channel.send({
+                        embeds: [
+                            new MessageEmbed()
+                                .setColor(config.colors.error)
+                                .setDescription(languageManager.translate('messages.clientActionFailed', error.message))
+                        ]
+                    });
+                }
+
+                logger.info(`Client ${client.user.tag} ${action} requested by ${message.author.tag}`);
+                return message.channel.send({
+                    embeds: [
+                        new MessageEmbed()
+                            .setColor(config.colors.success)
+                            .setDescription(languageManager.translate(handlers[action].key, client.user.tag, broadcastManager.clients.length))
+                    ]
+                });
+            }
+
+            const accessError = this.getAccessError(message.guild, message.member);
+            if (accessError) {
+                return message.reply({ embeds: [accessError] });
+            }
+
+            const embed = new MessageEmbed()
+                .setColor(config.colors.primary)
+                .setTitle(languageManager.translate('embeds.clients.title'))
+                .setDescription(broadcastManager.clients
+                    .map((client, index) => languageManager.translate('messages.clientEntry',
+                        client.user.tag,
+                        client.user.id,
+                        this.describeClientStatus(client),
+                        broadcastManager.clientLoadMap.get(client.user.id) || 0) + (index === 0 ? ' ⭐' : ''))
+                    .join('\n'))
+                .setFooter({ text: languageManager.translate('messages.clientsFooter') })
+                .setTimestamp();
+
+            await message.reply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`Error handling clients command: ${error.message}`, error);
+            message.channel.send(languageManager.translate('system.errorOccurred'));
+        }
+    }
+
+    async handleClientAddSubmit(interaction) {
+        if (!this.canManageClients(interaction.guild, interaction.member)) {
+            return interaction.reply({ content: languageManager.translate('messages.clientsAdminOnly'), ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        let client;
+        try {
+            client = await clientManager.add(interaction.fields.getTextInputValue('client_token'));
+        } catch (error) {
+            logger.warn(`Client add requested by ${interaction.user.tag} failed: ${error.message}`);
+            return interaction.editReply({
+                embeds: [
+                    new MessageEmbed()
+                        .setColor(config.colors.error)
+                        .setDescription(languageManager.translate('messages.clientActionFailed', error.message))
+                ]
+            });
+        }
+
+        logger.info(`Client ${client.user.tag} add requested by ${interaction.user.tag}`);
+        await interaction.editReply({
+            embeds: [
+                new MessageEmbed()
+                    .setColor(config.colors.success)
+                    .setDescription(languageManager.translate('messages.clientAdded', client.user.tag, broadcastManager.clients.length))
+            ]
+        });
+    }
+
+    parseGuildSetting(guild, key, value) {
+        const id = (value || '').replace(/[<@&#>]/g, '');
+        const cleared = /^(none|default)$/i.test(value || '');
+        const isRole = SNOWFLAKE_PATTERN.test(id) && guild.roles.cache.has(id);
+        const isChannel = SNOWFLAKE_PATTERN.test(id) && guild.channels.cache.has(id);
+        const count = /^\d+$/.test(value || '') ? Number(value) : null;
+
+        const parsers = {
+            role: () => cleared ? { broadcastRoleId: null } : isRole ? { broadcastRoleId: id } : null,
+            reports: () => cleared ? { reportChannelId: null } : isChannel ? { reportChannelId: id } : null,
+            language: () => cleared ? { language: null } : languageManager.getAllLanguages()[value] ? { language: value } : null,
+            verification: () => /^(on|off)$/i.test(value || '') ? { verification: { enabled: value.toLowerCase() === 'on' } } : null,
+            verificationlog: () => cleared ? { verification: { logChannelId: null } } : isChannel ? { verification: { logChannelId: id } } : null,
+            maxrecipients: () => count !== null ? { limits: { maxRecipients: count } } : null,
+            cap: () => cleared ? { limits: { maxBroadcasts: null } } : count !== null ? { limits: { maxBroadcasts: count } } : null
+        };
+
+        return parsers[key] ? parsers[key]() : null;
+    }
+
+    createGuildSettingsEmbed(guild) {
+        const settings = guildSettings.get(guild.id) || guildSettings.getDefaults(guild.id);
+        const unset = languageManager.translate('messages.guildSettingUnset');
+        const { maxBroadcasts, window } = frequencyCap.getLimits(guild.id);
+
+        return new MessageEmbed()
+            .setColor(config.colors.primary)
+            .setTitle(languageManager.translate('embeds.guild.title', guild.name))
+            .addField(languageManager.translate('embeds.guild.broadcastRole'), settings.broadcastRoleId ? `<@&${settings.broadcastRoleId}>` : unset, true)
+            .addField(languageManager.translate('embeds.guild.reportChannel'), settings.reportChannelId ? `<#${settings.reportChannelId}>` : unset, true)
+            .addField(languageManager.translate('embeds.guild.language'), settings.language || languageManager.translate('messages.guildLanguageDefault', languageManager.getDefaultLanguageCode()), true)
+            .addField(languageManager.translate('embeds.guild.verification'), settings.verification.enabled ? '✅' : '❌', true)
+            .addField(languageManager.translate('embeds.guild.verificationLog'), settings.verification.logChannelId ? `<#${settings.verification.logChannelId}>` : unset, true)
+            .addField(languageManager.translate('embeds.guild.maxRecipients'), settings.limits.maxRecipients > 0 ? `${settings.limits.maxRecipients}` : languageManager.translate('messages.unlimited'), true)
+            .addField(languageManager.translate('embeds.guild.frequencyCap'), maxBroadcasts > 0 ? `${maxBroadcasts} / ${formatTime(window)}` : languageManager.translate('messages.unlimited'), true)
+            .setFooter({ text: languageManager.translate('messages.guildSettingsFooter') })
+            .setTimestamp();
+    }
+
+    async handleGuildCommand(message, key, value) {
+        try {
+            if (!message.member?.permissions.has('ADMINISTRATOR')) {
+                return message.reply({
+                    embeds: [
+                        new MessageEmbed()
+                            .setColor(config.colors.error)
+                            .setDescription(languageManager.translate('messages.guildAdminOnly'))
+                    ]
+                });
+            }
+
+            if (!guildSettings.isAllowed(message.guild.id)) {
+                return message.reply({
+                    embeds: [
+                        new MessageEmbed()
+                            .setColor(config.colors.error)
+                            .setDescription(languageManager.translate('messages.guildNotAllowed'))
+                    ]
+                });
+            }
+
+            if (!key) {
+                return message.reply({ embeds: [this.createGuildSettingsEmbed(message.guild)] });
+            }
+
+            const changes = this.parseGuildSetting(message.guild, key, value);
+            if (!changes) {
+                return message.reply({
+                    embeds: [
+                        new MessageEmbed()
+                            .setColor(config.colors.error)
+                            .setDescription(languageManager.translate('messages.guildSettingInvalid', key))
+                    ]
+                });
+            }
+
+            const wasConfigured = guildSettings.isConfigured(message.guild.id);
+            guildSettings.update(message.guild.id, changes);
+            logger.info(`Guild setting "${key}" for ${message.guild.name} changed by ${message.author.tag}`);
+
+            if (!wasConfigured && guildSettings.isConfigured(message.guild.id)) {
+                await this.registerGuildCommands(message.client, message.guild.id);
+            }
+
+            await languageManager.run(guildSettings.getLanguage(message.guild.id), () => message.reply({
+                content: languageManager.translate('messages.guildSettingUpdated', key),
+                embeds: [this.createGuildSettingsEmbed(message.guild)]
+            }));
+        } catch (error) {
+            logger.error(`Error handling guild command: ${error.message}`, error);
+            message.reply(languageManager.translate('system.errorOccurred'));
+        }
+    }
+
+    getOptOutGuildId(interaction) {
+        return interaction.customId.split(':')[1];
+    }
+
+    async handleOptOutButton(interaction) {
+        try {
+            const guildId = this.getOptOutGuildId(interaction);
+            const added = optOutList.add(interaction.user.id, guildId, 'dm');
+
+            await interaction.update({ components: [] });
+            await interaction.followUp({
+                content: languageManager.translate(added ? 'messages.unsubscribed' : 'messages.alreadyUnsubscribed'),
+                components: [
+                    new MessageActionRow().addComponents(
+                        new MessageButton()
+                            .setCustomId(`optout_resubscribe:${guildId}`)
+                            .setLabel(languageManager.translate('buttons.resubscribe'))
+                            .setEmoji('🔔')
+                            .setStyle('SECONDARY')
+                    )
+                ]
+            });
+        } catch (error) {
+            logger.error(`Error handling unsubscribe button: ${error.message}`, error);
+        }
+    }
+
+    async handleResubscribeButton(interaction) {
+        try {
+            const removed = optOutList.remove(interaction.user.id, this.getOptOutGuildId(interaction));
+
+            await interaction.update({
+                content: languageManager.translate(removed ? 'messages.resubscribed' : 'messages.alreadySubscribed'),
+                components: []
+            });
+        } catch (error) {
+            logger.error(`Error handling resubscribe button: ${error.message}`, error);
+        }
+    }
+
+    createSchedulePrompt(guildId) {
+        const upcoming = broadcastScheduler.getUpcoming(guildId);
+        const embed = new MessageEmbed()
+            .setColor(config.colors.primary)
+            .setTitle(languageManager.translate('embeds.schedule.title'))
+            .setTimestamp();
+
+        if (upcoming.length === 0) {
+            embed.setDescription(languageManager.translate('messages.noSchedules'));
+            return { embeds: [embed], components: [] };
+        }
+
+        upcoming.slice(0, 10).forEach(schedule => {
+            const preview = schedule.message.length > 100 ? `${schedule.message.slice(0, 100)}...` : schedule.message;
+            embed.addField(
+                `${schedule.id} • <t:${Math.floor(schedule.runAt / 1000)}:F>`,
+                languageManager.translate('messages.scheduleEntry',
+                    schedule.initiator || 'Unknown',
+                    schedule.audience || '-',
+                    schedule.timeZone,
+                    preview)
+            );
+        });
+
+        if (upcoming.length > 10) {
+            embed.setFooter({ text: languageManager.translate('messages.scheduleMore', upcoming.length - 10) });
+        }
+
+        const components = upcoming.slice(0, 5).map(schedule => new MessageActionRow()
+            .addComponents(
+                new MessageButton()
+                    .setCustomId(`schedule_cancel_${schedule.id}`)
+                    .setLabel(languageManager.translate('buttons.cancelSchedule', schedule.id))
+                    .setStyle('DANGER')
+            ));
+
+        return { embeds: [embed], components };
+    }
+
+    async handleScheduleCommand(message, scheduleId) {
+        try {
+            if (!scheduleId) {
+                await message.reply(this.createSchedulePrompt(message.guild.id));
+                return;
+            }
+
+            const cancelled = broadcastScheduler.cancel(scheduleId, message.guild.id);
+            await message.reply(languageManager.translate(
+                cancelled ? 'messages.scheduleCancelled' : 'messages.scheduleNotFound',
+                scheduleId
+            ));
+
+            if (cancelled) {
+                logger.info(`Scheduled broadcast ${scheduleId} cancelled by ${message.author.tag}`);
+            }
+        } catch (error) {
+            logger.error(`Error handling schedule command: ${error.message}`, error);
+            message.reply(languageManager.translate('system.errorOccurred'));
+        }
+    }
+
+    async handleScheduleCancel(interaction) {
+        const scheduleId = interaction.customId.split('_')[2];
+
+        if (!this.hasBroadcastRole(interaction.member)) {
+            return interaction.reply({
+                content: languageManager.translate('messages.permissionDenied'),
+                ephemeral: true
+            });
+        }
+
+        const cancelled = broadcastScheduler.cancel(scheduleId, interaction.guild.id);
+        if (!cancelled) {
+            return interaction.reply({
+                content: languageManager.translate('messages.scheduleNotFound', scheduleId),
+                ephemeral: true
+            });
+        }
+
+        await interaction.update(this.createSchedulePrompt(interaction.guild.id));
+        logger.info(`Scheduled broadcast ${scheduleId} cancelled by ${interaction.user.tag}`);
+    }
+
+    createRecurringList(guildId) {
+        const recurrences = broadcastScheduler.getRecurrences(guildId);
+        const embed = new MessageEmbed()
+            .setColor(config.colors.primary)
+            .setTitle(languageManager.translate('embeds.recurring.title'))
+            .setTimestamp();
+
+        if (recurrences.length === 0) {
+            embed.setDescription(languageManager.translate('messages.noRecurrences'));
+            return embed;
+        }
+
+        recurrences.slice(0, 10).forEach(recurrence => {
+            const lastRun = recurrence.runs[recurrence.runs.length - 1];
+            const preview = recurrence.message.length > 100 ? `${recurrence.message.slice(0, 100)}...` : recurrence.message;
+
+            embed.addField(
+                `${recurrence.id} • ${recurrence.status === 'active' ? '🟢' : '⏸️'} \`${recurrence.cron}\` (${recurrence.timeZone})`,
+                languageManager.translate('messages.recurrenceEntry',
+                    recurrence.audience || '-',
+                    recurrence.status === 'active' && recurrence.nextRunAt ? `<t:${Math.floor(recurrence.nextRunAt / 1000)}:F>` : '-',
+                    lastRun ? `<t:${Math.floor(lastRun.firedAt / 1000)}:R> (${lastRun.status})` : '-',
+                    preview)
+            );
+        });
+
+        return embed;
+    }
+
+    createRecurrenceHistory(recurrence) {
+        const embed = new MessageEmbed()
+            .setColor(config.colors.primary)
+            .setTitle(languageManager.translate('embeds.recurring.historyTitle', recurrence.id))
+            .setDescription(`\`${recurrence.cron}\` (${recurrence.timeZone})`)
+            .setTimestamp();
+
+        const runs = recurrence.runs.slice(-10).reverse();
+        if (runs.length === 0) {
+            embed.addField('-', languageManager.translate('messages.noRecurrenceRuns'));
+            return embed;
+        }
+
+        runs.forEach(run => {
+            embed.addField(
+                `<t:${Math.floor(run.firedAt / 1000)}:F>`,
+                languageManager.translate('messages.recurrenceRunEntry',
+                    run.status,
+                    run.success || 0,
+                    run.failure || 0,
+                    run.jobId || '-') + (run.error ? `\n⚠️ ${run.error}` : '')
+            );
+        });
+
+        return embed;
+    }
+
+    async handleRecurringCommand(message, action, recurrenceId) {
+        try {
+            if (!action) {
+                await message.reply({ embeds: [this.createRecurringList(message.guild.id)] });
+                return;
+            }
+
+            const recurrence = broadcastScheduler.getRecurrence(recurrenceId, message.guild.id);
+            if (!recurrence) {
+                await message.reply(languageManager.translate('messages.recurrenceNotFound', recurrenceId));
+                return;
+            }
+
+            if (action === 'history') {
+                await message.reply({ embeds: [this.createRecurrenceHistory(recurrence)] });
+                return;
+            }
+
+            const handlers = {
+                pause: () => broadcastScheduler.pauseRecurrence(recurrenceId),
+                resume: () => broadcastScheduler.resumeRecurrence(recurrenceId),
+                delete: () => broadcastScheduler.deleteRecurrence(recurrenceId)
+            };
+            const responses = {
+                pause: 'messages.recurrencePaused',
+                resume: 'messages.recurrenceResumed',
+                delete: 'messages.recurrenceDeleted'
+            };
+
+            const updated = handlers[action]();
+            await message.reply(languageManager.translate(
+                updated ? responses[action] : 'messages.recurrenceUnchanged',
+                recurrenceId,
+                recurrence.status
+            ));
+
+            if (updated) {
+                logger.info(`Recurring broadcast ${recurrenceId} ${action} by ${message.author.tag}`);
+            }
+        } catch (error) {
+            logger.error(`Error handling recurring command: ${error.message}`, error);
+            message.reply(languageManager.translate('system.errorOccurred'));
+        }
+    }
+
+    createRecurringModal() {
+        const defaultTimeZone = config.scheduler?.defaultTimezone || 'UTC';
+
+        return new Modal()
+            .setCustomId('bc_recurring_modal')
+            .setTitle(languageManager.translate('embeds.recurring.modalTitle'))
+            .addComponents(
+                new MessageActionRow().addComponents(
+                    new TextInputComponent()
+                        .setCustomId('recurring_cron')
+                        .setLabel(languageManager.translate('messages.recurringCronLabel'))
+                        .setPlaceholder('every Monday 18:00 / 0 18 * * 1')
+                        .setStyle('SHORT')
+                        .setRequired(true)
+                ),
+                new MessageActionRow().addComponents(
+                    new TextInputComponent()
+                        .setCustomId('recurring_timezone')
+                        .setLabel(languageManager.translate('messages.scheduleTimezoneLabel'))
+                        .setPlaceholder('Asia/Riyadh, UTC, +03:00')
+                        .setValue(defaultTimeZone)
+                        .setStyle('SHORT')
+                        .setRequired(false)
+                )
+            );
+    }
+
+    async handleRecurringSubmit(interaction) {
+        const lang = languageManager.getActiveLanguageCode();
+        const languages = languageManager.getAllLanguages();
+
+        const broadcastMessage = this.broadcasts.get(interaction.user.id);
+        const session = this.sessions.get(interaction.user.id);
+
+        if (!broadcastMessage || !session || !session.target) {
+            return interaction.reply({
+                content: languages[lang].messages.sessionExpired,
+                ephemeral: true
+            });
+        }
+
+        const cronInput = interaction.fields.getTextInputValue('recurring_cron');
+        const timeZoneInput = interaction.fields.getTextInputValue('recurring_timezone') || config.scheduler?.defaultTimezone || 'UTC';
+        const zone = resolveTimeZone(timeZoneInput);
+        const cron = parseCron(cronInput);
+
+        if (!zone || !cron) {
+            return interaction.reply({
+                content: languageManager.translate('messages.recurringInvalid', cronInput, timeZoneInput),
+                ephemeral: true
+            });
+        }
+
+        const recurrence = broadcastScheduler.createRecurrence({
+            guildId: interaction.guild.id,
+            channelId: interaction.channel.id,
+            initiator: interaction.user.tag,
+            initiatorId: interaction.user.id,
+            message: broadcastMessage,
+            embed: session.embed || null,
+            attachments: session.attachments || [],
+            target: session.target,
+            urgent: Boolean(session.urgent),
+            audience: session.targetDescription,
+            cron: cron.expression,
+            timeZone: zone.name,
+            lang
+        });
+
+        if (!recurrence.nextRunAt) {
+            broadcastScheduler.deleteRecurrence(recurrence.id);
+            return interaction.reply({
+                content: languageManager.translate('messages.recurringInvalid', cronInput, timeZoneInput),
+                ephemeral: true
+            });
+        }
+
+        await interaction.update({
+            components: [],
+            embeds: [
+                new MessageEmbed()
+                    .setColor(config.colors.success)
+                    .setTitle(languages[lang].embeds.recurring.created)
+                    .setDescription(languageManager.translate('messages.recurringCreated',
+                        cron.expression,
+                        zone.name,
+                        `<t:${Math.floor(recurrence.nextRunAt / 1000)}:F>`,
+                        recurrence.id))
+                    .addField(languages[lang].embeds.broadcast.targetAudience, session.targetDescription || '-')
+                    .setTimestamp()
+            ]
+        });
+
+        this.broadcasts.delete(interaction.user.id);
+        this.sessions.delete(interaction.user.id);
+    }
+
+    createScheduleModal() {
+        const defaultTimeZone = config.scheduler?.defaultTimezone || 'UTC';
+
+        return new Modal()
+            .setCustomId('bc_schedule_modal')
+            .setTitle(languageManager.translate('embeds.schedule.modalTitle'))
+            .addComponents(
+                new MessageActionRow().addComponents(
+                    new TextInputComponent()
+                        .setCustomId('schedule_datetime')
+                        .setLabel(languageManager.translate('messages.scheduleDateLabel'))
+                        .setPlaceholder('2025-01-31 18:00')
+                        .setStyle('SHORT')
+                        .setRequired(true)
+                ),
+                new MessageActionRow().addComponents(
+                    new TextInputComponent()
+                        .setCustomId('schedule_timezone')
+                        .setLabel(languageManager.translate('messages.scheduleTimezoneLabel'))
+                        .setPlaceholder('Asia/Riyadh, UTC, +03:00')
+                        .setValue(defaultTimeZone)
+                        .setStyle('SHORT')
+                        .setRequired(false)
+                )
+            );
+    }
+
+    async handleModalSubmit(interaction) {
+        try {
+            if (interaction.customId === 'bc_schedule_modal') {
+                await this.handleScheduleSubmit(interaction);
+                return;
             }
 
-            const hasPermission = message.member.roles.cache.has(config.server.broadcastRoleId);
-            if (!hasPermission) {
-                return message.reply({
-                    embeds: [
-                        new MessageEmbed()
-                            .setColor(config.colors.error)
-                            .setTitle(languageManager.translate('embeds.errors.permissionDenied'))
-                            .setDescription(languageManager.translate('messages.permissionDenied'))
-                    ]
-                });
+            if (interaction.customId === 'bc_recurring_modal') {
+                await this.handleRecurringSubmit(interaction);
+                return;
             }
 
-            const broadcastMessage = message.content.slice(4).trim();
-            
-            if (!broadcastMessage) {
-                return message.reply({
-                    embeds: [
-                        new MessageEmbed()
-                            .setColor(config.colors.error)
-                            .setDescription(languageManager.translate('messages.emptyMessage'))
-                    ]
-                });
+            if (interaction.customId === 'bc_compose_modal') {
+                await this.handleComposeSubmit(interaction);
+                return;
             }
-            
-            if (broadcastMessage.length > MAX_BROADCAST_LENGTH) {
-                return message.reply({
-                    embeds: [
-                        new MessageEmbed()
-                            .setColor(config.colors.error)
-                            .setTitle(languageManager.translate('embeds.errors.messageTooLong'))
-                            .setDescription(languageManager.translate('messages.messageTooLong', 
-                                MAX_BROADCAST_LENGTH, 
-                                broadcastMessage.length))
-                    ]
-                });
+
+            if (interaction.customId === 'clients_add_modal') {
+                await this.handleClientAddSubmit(interaction);
+                return;
             }
 
-            this.broadcasts.set(message.author.id, broadcastMessage);
+            if (interaction.customId === 'filters_dates_modal') {
+                await this.handleFilterDatesSubmit(interaction);
+                return;
+            }
 
-            const embed = new MessageEmbed()
-                .setColor(config.colors.primary)
-                .setTitle(languageManager.translate('embeds.broadcast.title'))
-                .setDescription(languageManager.translate('embeds.broadcast.description'))
-                .addField(
-                    languageManager.translate('embeds.broadcast.messageContent'),
-                    `\`\`\`${broadcastMessage.length > MAX_PREVIEW_LENGTH ? 
-                        broadcastMessage.slice(0, MAX_PREVIEW_LENGTH) + '...' : 
-                        broadcastMessage}\`\`\``
-                )
-                .addField(
-                    languageManager.translate('embeds.broadcast.messageInfo'),
-                    `• ${languageManager.translate('embeds.broadcast.messageLength')}: ${broadcastMessage.length}/${MAX_BROADCAST_LENGTH}`
-                );
+            if (interaction.customId === 'bc_users_modal') {
+                const broadcastMessage = this.broadcasts.get(interaction.user.id);
+                if (!broadcastMessage) {
+                    return interaction.reply({
+                        content: languageManager.translate('messages.sessionExpired'),
+                        ephemeral: true
+                    });
+                }
 
-            const reply = await message.reply({
-                embeds: [embed],
-                components: this.createTargetButtons()
+                const { ids, invalid } = parseUserIds(interaction.fields.getTextInputValue('users_list'));
+                await this.handleUserListSelection(interaction, ids, invalid, broadcastMessage);
+            }
+        } catch (error) {
+            logger.error(`Error handling modal submit: ${error.message}`, error);
+            interaction.reply({
+                content: languageManager.translate('system.errorOccurred'),
+                ephemeral: true
             });
-            
-            this.sessions.set(message.author.id, {
-                message: reply,
-                authorId: message.author.id,
-                guildId: message.guild.id
+        }
+    }
+
+    async handleScheduleSubmit(interaction) {
+        const lang = languageManager.getActiveLanguageCode();
+        const languages = languageManager.getAllLanguages();
+
+        const broadcastMessage = this.broadcasts.get(interaction.user.id);
+        const session = this.sessions.get(interaction.user.id);
+
+        if (!broadcastMessage || !session || !session.target) {
+            return interaction.reply({
+                content: languages[lang].messages.sessionExpired,
+                ephemeral: true
+            });
+        }
+
+        const dateInput = interaction.fields.getTextInputValue('schedule_datetime');
+        const timeZoneInput = interaction.fields.getTextInputValue('schedule_timezone') || config.scheduler?.defaultTimezone || 'UTC';
+        const zone = resolveTimeZone(timeZoneInput);
+        const runAt = parseDateTime(dateInput, timeZoneInput);
+
+        if (!zone || !runAt) {
+            return interaction.reply({
+                content: languageManager.translate('messages.scheduleInvalidDate', dateInput, timeZoneInput),
+                ephemeral: true
+            });
+        }
+
+        if (runAt <= Date.now()) {
+            return interaction.reply({
+                content: languageManager.translate('messages.schedulePastDate'),
+                ephemeral: true
+            });
+        }
+
+        const schedule = broadcastScheduler.create({
+            guildId: interaction.guild.id,
+            channelId: interaction.channel.id,
+            initiator: interaction.user.tag,
+            initiatorId: interaction.user.id,
+            message: broadcastMessage,
+            embed: session.embed || null,
+            attachments: session.attachments || [],
+            target: session.target,
+            urgent: Boolean(session.urgent),
+            audience: session.targetDescription,
+            runAt,
+            timeZone: zone.name,
+            lang
+        });
+
+        await interaction.update({
+            components: [],
+            embeds: [
+                new MessageEmbed()
+                    .setColor(config.colors.success)
+                    .setTitle(languages[lang].embeds.schedule.created)
+                    .setDescription(languageManager.translate('messages.scheduleCreated',
+                        `<t:${Math.floor(runAt / 1000)}:F>`,
+                        zone.name,
+                        schedule.id))
+                    .addField(languages[lang].embeds.broadcast.targetAudience, session.targetDescription || '-')
+                    .setTimestamp()
+            ]
+        });
+
+        this.broadcasts.delete(interaction.user.id);
+        this.sessions.delete(interaction.user.id);
+    }
+
+    createCheckpointPrompt(guildId) {
+        const checkpoints = broadcastManager.getPendingCheckpoints(guildId);
+        const embed = new MessageEmbed()
+            .setColor(config.colors.warning)
+            .setTitle(languageManager.translate('embeds.checkpoints.title'))
+            .setTimestamp();
+
+        if (checkpoints.length === 0) {
+            embed.setDescription(languageManager.translate('messages.noCheckpoints'));
+            return { embeds: [embed], components: [] };
+        }
+
+        embed.setDescription(languageManager.translate('messages.checkpointsDescription'));
+
+        const shown = checkpoints.slice(0, 5);
+        shown.forEach(checkpoint => {
+            const preview = checkpoint.message.length > 100 ? `${checkpoint.message.slice(0, 100)}...` : checkpoint.message;
+            embed.addField(
+                `${checkpoint.jobId} • ${new Date(checkpoint.startedAt).toLocaleString()}`,
+                languageManager.translate('messages.checkpointEntry',
+                    checkpoint.initiator || 'Unknown',
+                    checkpoint.audience || '-',
+                    checkpoint.processedCount,
+                    checkpoint.totalMembers,
+                    checkpoint.remainingCount,
+                    preview)
+            );
+        });
+
+        const components = shown.map(checkpoint => new MessageActionRow()
+            .addComponents(
+                new MessageButton()
+                    .setCustomId(`checkpoint_resume_${checkpoint.jobId}`)
+                    .setLabel(languageManager.translate('buttons.resumeJob', checkpoint.jobId))
+                    .setStyle('SUCCESS'),
+                new MessageButton()
+                    .setCustomId(`checkpoint_discard_${checkpoint.jobId}`)
+                    .setLabel(languageManager.translate('buttons.discardJob', checkpoint.jobId))
+                    .setStyle('DANGER')
+            ));
+
+        return { embeds: [embed], components };
+    }
+
+    async announcePendingCheckpoints(client) {
+        const checkpoints = broadcastManager.getPendingCheckpoints();
+        if (checkpoints.length === 0) return;
+
+        logger.warn(`Found ${checkpoints.length} unfinished broadcast(s) from a previous run`);
+
+        const guildIds = [...new Set(checkpoints.map(checkpoint => checkpoint.guildId))];
+        for (const guildId of guildIds) {
+            const reportChannelId = guildSettings.getReportChannelId(guildId);
+            if (!reportChannelId) {
+                logger.warn(`No report channel configured for guild ${guildId}. Use "-bc resume" to resume unfinished broadcasts.`);
+                continue;
+            }
+
+            try {
+                const channel = await client.channels.fetch(reportChannelId);
+                if (channel) {
+                    await languageManager.run(guildSettings.getLanguage(guildId),
+                        () => channel.send(this.createCheckpointPrompt(guildId)));
+                }
+            } catch (error) {
+                logger.error(`Failed to announce unfinished broadcasts in guild ${guildId}: ${error.message}`);
+            }
+        }
+    }
+
+    async handleCheckpointAction(interaction) {
+        const [, action, jobId] = interaction.customId.split('_');
+        const lang = languageManager.getActiveLanguageCode();
+        const languages = languageManager.getAllLanguages();
+
+        if (!this.hasBroadcastRole(interaction.member)) {
+            return interaction.reply({
+                content: languageManager.translate('messages.permissionDenied'),
+                ephemeral: true
+            });
+        }
+
+        const checkpoint = action === 'resume'
+            ? broadcastManager.claimCheckpoint(jobId)
+            : broadcastManager.loadCheckpoint(jobId);
+        if (!checkpoint || checkpoint.guildId !== interaction.guild?.id) {
+            if (checkpoint && action === 'resume') {
+                broadcastManager.releaseCheckpoint(jobId);
+            }
+            return interaction.reply({
+                content: languageManager.translate('messages.checkpointNotFound'),
+                ephemeral: true
+            });
+        }
+
+        if (action === 'discard') {
+            broadcastManager.discardCheckpoint(jobId);
+            await interaction.update(this.createCheckpointPrompt(interaction.guild.id));
+            await interaction.followUp({
+                content: languageManager.translate('messages.checkpointDiscarded', jobId),
+                ephemeral: true
+            });
+            logger.info(`Unfinished broadcast ${jobId} discarded by ${interaction.user.tag}`);
+            return;
+        }
+
+        try {
+            const jobLang = languages[checkpoint.lang] ? checkpoint.lang : lang;
+            const remainingIds = new Set(checkpoint.memberIds.filter(id => !checkpoint.processed.has(id)));
+
+            await interaction.update({
+                components: [],
+                embeds: [
+                    new MessageEmbed()
+                        .setColor(config.colors.warning)
+                        .setTitle(languages[jobLang].embeds.broadcast.processing)
+                        .setDescription(languages[jobLang].messages.startingBroadcast.replace('{0}', remainingIds.size))
+                        .setFooter(`Broadcast System • Multiple Clients: ${broadcastManager.clients.length}`)
+                        .setTimestamp()
+                ]
+            });
+
+            const guild = await interaction.client.guilds.fetch(checkpoint.guildId);
+            await guild.members.fetch();
+            const members = guild.members.cache.filter(member => remainingIds.has(member.id) && !optOutList.has(member.id, guild.id));
+
+            remainingIds.forEach(memberId => {
+                if (members.has(memberId)) return;
+                const reason = optOutList.has(memberId, guild.id) ? 'optedOut' : 'other';
+                broadcastManager.markCheckpointMember(jobId, memberId, 'failed', { reason });
+                checkpoint.processed.set(memberId, { id: memberId, status: 'failed', reason });
+            });
+
+            logger.info(`Unfinished broadcast ${jobId} resumed by ${interaction.user.tag} with ${members.size} members remaining`);
+
+            await broadcastManager.startBroadcast({
+                interaction,
+                members,
+                message: checkpoint.message,
+                embed: checkpoint.embed,
+                attachments: checkpoint.attachments,
+                audience: checkpoint.audience,
+                lang: jobLang,
+                languages,
+                resume: checkpoint
             });
-            
-            logger.info(`Broadcast command initiated by ${message.author.tag}`);
         } catch (error) {
-            logger.error(`Error handling broadcast command: ${error.message}`, error);
-            message.reply(languageManager.translate('messages.targetSelectionError'));
+            logger.error(`Failed to resume unfinished broadcast ${jobId}: ${error.message}`, error);
+            const payload = { content: languageManager.translate('system.errorOccurred'), ephemeral: true };
+            await (interaction.replied ? interaction.followUp(payload) : interaction.reply(payload)).catch(() => null);
+        } finally {
+            broadcastManager.releaseCheckpoint(jobId);
         }
     }
 
     async handleLanguageCommand(message) {
         try {
-            if (message.guild.id !== config.server.guildId) {
+            if (!guildSettings.isConfigured(message.guild?.id)) {
                 return message.reply({
                     embeds: [
                         new MessageEmbed()
@@ -110,20 +1546,7 @@ class BroadcastController {
                 });
             }
 
-            const langs = languageManager.getAllLanguages();
-            const langOptions = Object.values(langs).map(lang => {
-                return `${lang.language.code}: ${lang.language.native}`;
-            }).join('\n');
-            
-            const embed = new MessageEmbed()
-                .setColor(config.colors.primary)
-                .setTitle(languageManager.translate('system.languageSelection'))
-                .setDescription(languageManager.translate('system.selectLanguage') + '\n\n' + langOptions);
-            
-            await message.reply({
-                embeds: [embed],
-                components: [this.createLanguageMenu()]
-            });
+            await message.reply(this.createLanguagePrompt());
             
             logger.info(`Language command executed by ${message.author.tag}`);
         } catch (error) {
@@ -134,6 +1557,40 @@ class BroadcastController {
 
     async handleButtonInteraction(interaction) {
         try {
+            if (interaction.customId.startsWith('job_')) {
+                await this.handleJobControl(interaction);
+                return;
+            }
+
+            if (interaction.customId.startsWith('checkpoint_')) {
+                await this.handleCheckpointAction(interaction);
+                return;
+            }
+
+            if (interaction.customId.startsWith('schedule_cancel_')) {
+                await this.handleScheduleCancel(interaction);
+                return;
+            }
+
+            if (interaction.customId === 'bc_compose') {
+                const accessError = this.getAccessError(interaction.guild, interaction.member);
+                if (accessError) {
+                    return interaction.reply({ embeds: [accessError], ephemeral: true });
+                }
+
+                await interaction.showModal(this.createComposeModal(interaction.user.id));
+                return;
+            }
+
+            if (interaction.customId === 'clients_add') {
+                if (!this.canManageClients(interaction.guild, interaction.member)) {
+                    return interaction.reply({ content: languageManager.translate('messages.clientsAdminOnly'), ephemeral: true });
+                }
+
+                await interaction.showModal(this.createClientAddModal());
+                return;
+            }
+
             const broadcastMessage = this.broadcasts.get(interaction.user.id);
             if (!broadcastMessage) {
                 return interaction.reply({
@@ -148,13 +1605,43 @@ class BroadcastController {
                 return;
             }
 
+            if (interaction.customId.startsWith('roles_')) {
+                await this.handleRolePicker(interaction, broadcastMessage);
+                return;
+            }
+
+            if (interaction.customId === 'bc_filters' || interaction.customId.startsWith('filters_')) {
+                await this.handleFiltersPanel(interaction, broadcastMessage);
+                return;
+            }
+
             if (interaction.customId === 'bc_confirm') {
                 await this.handleConfirmation(interaction, true);
                 return;
             }
+
+            if (interaction.customId === 'bc_dryrun') {
+                await this.handleConfirmation(interaction, true, { dryRun: true });
+                return;
+            }
+
+            if (interaction.customId === 'bc_urgent') {
+                await this.handleUrgentToggle(interaction, broadcastMessage);
+                return;
+            }
+
+            if (interaction.customId === 'bc_schedule') {
+                await interaction.showModal(this.createScheduleModal());
+                return;
+            }
+
+            if (interaction.customId === 'bc_recurring') {
+                await interaction.showModal(this.createRecurringModal());
+                return;
+            }
             
             if (interaction.customId === 'bc_cancel') {
-                const lang = languageManager.getDefaultLanguageCode();
+                const lang = languageManager.getActiveLanguageCode();
                 const languages = languageManager.getAllLanguages();
                 
                 await interaction.update({ 
@@ -169,28 +1656,66 @@ class BroadcastController {
                 
                 logger.info(`Broadcast canceled by ${interaction.user.tag}`);
                 
+                this.discardDraft(interaction.user.id);
                 this.broadcasts.delete(interaction.user.id);
                 this.sessions.delete(interaction.user.id);
                 return;
             }
         } catch (error) {
             logger.error(`Error handling button interaction: ${error.message}`, error);
-            interaction.reply({
-                content: languageManager.translate('system.errorOccurred'),
+            const payload = { content: languageManager.translate('system.errorOccurred'), ephemeral: true };
+            await (interaction.deferred || interaction.replied ? interaction.followUp(payload) : interaction.reply(payload)).catch(() => null);
+        }
+    }
+
+    async handleJobControl(interaction) {
+        const [, action, jobId] = interaction.customId.split('_');
+
+        if (!this.hasBroadcastRole(interaction.member)) {
+            return interaction.reply({
+                content: languageManager.translate('messages.permissionDenied'),
                 ephemeral: true
             });
         }
+
+        const handlers = {
+            pause: () => broadcastManager.pauseJob(jobId),
+            resume: () => broadcastManager.resumeJob(jobId),
+            cancel: () => broadcastManager.cancelJob(jobId)
+        };
+        const responses = {
+            pause: 'messages.jobPaused',
+            resume: 'messages.jobResumed',
+            cancel: 'messages.jobCancelled'
+        };
+
+        const job = handlers[action] ? handlers[action]() : null;
+        const circuitOpen = !job && action === 'resume' && broadcastManager.getInvalidRequestStatus().open;
+
+        await interaction.reply({
+            content: languageManager.translate(job ? responses[action] : circuitOpen ? 'messages.circuitBreakerHold' : 'messages.jobNotRunning'),
+            ephemeral: true
+        });
+
+        if (job) {
+            logger.info(`Broadcast job ${jobId} ${action} requested by ${interaction.user.tag}`);
+        }
     }
 
     async handleSelectMenuInteraction(interaction) {
         try {
             if (interaction.customId === 'select_language') {
                 const selectedLang = interaction.values[0];
-                languageManager.setDefaultLanguage(selectedLang);
+                const languageError = this.getLanguageError(interaction.guild, interaction.member);
+                if (languageError) {
+                    return interaction.reply({ embeds: [languageError], ephemeral: true });
+                }
+
+                this.setLanguage(interaction.guild, selectedLang);
                 
                 await interaction.update({
-                    content: languageManager.translate('system.languageUpdated', 
-                        languageManager.getLanguage().language.native),
+                    content: languageManager.run(selectedLang, () => languageManager.translate('system.languageUpdated', 
+                        languageManager.getLanguage().language.native)),
                     components: []
                 });
                 
@@ -198,7 +1723,7 @@ class BroadcastController {
                 return;
             }
             
-            if (interaction.customId === 'select_role') {
+            if (interaction.customId.startsWith('roles_')) {
                 const broadcastMessage = this.broadcasts.get(interaction.user.id);
                 if (!broadcastMessage) {
                     return interaction.reply({
@@ -207,11 +1732,11 @@ class BroadcastController {
                     });
                 }
                 
-                await this.handleRoleSelection(interaction, interaction.values[0], broadcastMessage);
+                await this.handleRolePicker(interaction, broadcastMessage);
                 return;
             }
-            
-            if (interaction.customId === 'select_user') {
+
+            if (interaction.customId === 'filters_flags') {
                 const broadcastMessage = this.broadcasts.get(interaction.user.id);
                 if (!broadcastMessage) {
                     return interaction.reply({
@@ -220,9 +1745,10 @@ class BroadcastController {
                     });
                 }
                 
-                await this.handleUserSelection(interaction, broadcastMessage);
+                await this.handleFiltersPanel(interaction, broadcastMessage);
                 return;
             }
+            
         } catch (error) {
             logger.error(`Error handling select menu interaction: ${error.message}`, error);
             interaction.reply({
@@ -232,6 +1758,138 @@ class BroadcastController {
         }
     }
 
+    createAttachmentFields(attachments = []) {
+        if (attachments.length === 0) return [];
+
+        return [{
+            name: languageManager.translate('embeds.broadcast.attachments', attachments.length),
+            value: describeAttachments(attachments).slice(0, 1024)
+        }];
+    }
+
+    discardDraft(userId) {
+        const session = this.sessions.get(userId);
+        if (session?.attachments?.length) {
+            removeAttachments(session.attachments);
+        }
+    }
+
+    clearDraft(userId) {
+        this.discardDraft(userId);
+        this.broadcasts.delete(userId);
+        this.sessions.delete(userId);
+    }
+
+    createComposeModal(userId) {
+        const draft = this.sessions.get(userId)?.embed || {};
+        const body = draft.description ?? this.broadcasts.get(userId) ?? '';
+
+        const bodyInput = new TextInputComponent()
+            .setCustomId('compose_message')
+            .setLabel(languageManager.translate('messages.composeBodyLabel'))
+            .setStyle('PARAGRAPH')
+            .setMaxLength(MAX_COMPOSE_LENGTH)
+            .setRequired(true);
+        const titleInput = new TextInputComponent()
+            .setCustomId('compose_title')
+            .setLabel(languageManager.translate('messages.composeTitleLabel'))
+            .setStyle('SHORT')
+            .setMaxLength(256)
+            .setRequired(false);
+        const imageInput = new TextInputComponent()
+            .setCustomId('compose_image')
+            .setLabel(languageManager.translate('messages.composeImageLabel'))
+            .setPlaceholder('https://example.com/banner.png')
+            .setStyle('SHORT')
+            .setRequired(false);
+
+        if (body) bodyInput.setValue(body);
+        if (draft.title) titleInput.setValue(draft.title);
+        if (draft.image) imageInput.setValue(draft.image);
+
+        return new Modal()
+            .setCustomId('bc_compose_modal')
+            .setTitle(languageManager.translate('embeds.broadcast.composeTitle'))
+            .addComponents(
+                new MessageActionRow().addComponents(bodyInput),
+                new MessageActionRow().addComponents(titleInput),
+                new MessageActionRow().addComponents(imageInput)
+            );
+    }
+
+    async handleComposeSubmit(interaction) {
+        const accessError = this.getAccessError(interaction.guild, interaction.member);
+        if (accessError) {
+            return interaction.reply({ embeds: [accessError], ephemeral: true });
+        }
+
+        const body = interaction.fields.getTextInputValue('compose_message').trim();
+        const title = interaction.fields.getTextInputValue('compose_title').trim();
+        const image = interaction.fields.getTextInputValue('compose_image').trim();
+        const session = this.sessions.get(interaction.user.id);
+
+        // Clearing the title and image turns the draft back into plain text,
+        // unless it carries embed parts the modal cannot edit.
+        const draftEmbed = session?.embed;
+        const keepsEmbed = draftEmbed && (draftEmbed.color || draftEmbed.thumbnail || draftEmbed.footer || draftEmbed.fields?.length);
+
+        let embedSpec = null;
+        if (title || image || keepsEmbed) {
+            embedSpec = {
+                fields: [],
+                ...draftEmbed,
+                title: title || undefined,
+                description: body,
+                image: image || undefined
+            };
+
+            const errors = validateEmbedSpec(embedSpec);
+            if (errors.length > 0) {
+                return interaction.reply({
+                    embeds: [
+                        new MessageEmbed()
+                            .setColor(config.colors.error)
+                            .setTitle(languageManager.translate('embeds.errors.invalidEmbed'))
+                            .setDescription(errors.map(error => `• ${error}`).join('\n'))
+                    ],
+                    ephemeral: true
+                });
+            }
+        }
+
+        const composeError = this.getComposeError(body, embedSpec);
+        if (composeError) {
+            return interaction.reply({ embeds: [composeError], ephemeral: true });
+        }
+
+        const attachments = session?.attachments || [];
+        this.broadcasts.set(interaction.user.id, body);
+        this.sessions.set(interaction.user.id, {
+            ...session,
+            authorId: interaction.user.id,
+            guildId: interaction.guild.id,
+            embed: embedSpec,
+            attachments
+        });
+
+        const payload = {
+            embeds: [this.createDraftEmbed(body, attachments), ...this.createPreviewEmbeds(embedSpec)],
+            components: this.createTargetButtons()
+        };
+
+        if (interaction.isFromMessage()) {
+            await interaction.update(payload);
+        } else {
+            await interaction.reply({ ...payload, ephemeral: true });
+        }
+
+        logger.info(`Broadcast draft composed by ${interaction.user.tag}`);
+    }
+
+    createPreviewEmbeds(embedSpec) {
+        return embedSpec ? [buildBroadcastEmbed(embedSpec)] : [];
+    }
+
     createTargetButtons() {
         const row = new MessageActionRow()
             .addComponents(
@@ -250,13 +1908,458 @@ class BroadcastController {
                     .setLabel(languageManager.translate('buttons.offlineMembers'))
                     .setStyle('SECONDARY'),
                 
+                new MessageButton()
+                    .setCustomId('bc_compose')
+                    .setLabel(languageManager.translate('buttons.editDraft'))
+                    .setStyle('SECONDARY'),
+                
                 new MessageButton()
                     .setCustomId('bc_cancel')
                     .setLabel(languageManager.translate('buttons.cancel'))
                     .setStyle('DANGER')
             );
+
+        const audienceRow = new MessageActionRow()
+            .addComponents(
+                new MessageButton()
+                    .setCustomId('target_role')
+                    .setLabel(languageManager.translate('buttons.roleMembers'))
+                    .setStyle('PRIMARY'),
+                new MessageButton()
+                    .setCustomId('target_user')
+                    .setLabel(languageManager.translate('buttons.specificMember'))
+                    .setStyle('PRIMARY'),
+                new MessageButton()
+                    .setCustomId('bc_filters')
+                    .setLabel(languageManager.translate('buttons.filters'))
+                    .setStyle('SECONDARY')
+            );
             
-        return [row];
+        return [row, audienceRow];
+    }
+
+    withFilters(userId, target) {
+        const filters = this.sessions.get(userId)?.filters;
+        return filters && Object.keys(filters).length > 0 ? { ...target, filters } : target;
+    }
+
+    describeFilters(filters = {}) {
+        const formatDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+        const parts = [];
+
+        if (filters.joinedAfter) parts.push(languageManager.translate('messages.filterDescriptions.joinedAfter', formatDate(filters.joinedAfter)));
+        if (filters.joinedBefore) parts.push(languageManager.translate('messages.filterDescriptions.joinedBefore', formatDate(filters.joinedBefore)));
+        if (filters.minAccountAgeDays) parts.push(languageManager.translate('messages.filterDescriptions.accountAge', filters.minAccountAgeDays));
+        ['booster', 'nickname', 'pending'].forEach(flag => {
+            if (filters[flag]) parts.push(languageManager.translate(`messages.filterDescriptions.${flag}`));
+        });
+        if (filters.statuses?.length) parts.push(languageManager.translate('messages.filterDescriptions.statuses', filters.statuses.join(', ')));
+
+        return parts.join(', ');
+    }
+
+    describeTarget(description, target) {
+        if (!target.filters) return description;
+        return `${description} • ${languageManager.translate('embeds.broadcast.filters')}: ${this.describeFilters(target.filters)}`;
+    }
+
+    createFiltersPanel(userId) {
+        const filters = this.sessions.get(userId)?.filters || {};
+        const selected = [
+            ...['booster', 'nickname', 'pending'].filter(flag => filters[flag]),
+            ...(filters.statuses || [])
+        ];
+
+        return {
+            embeds: [
+                new MessageEmbed()
+                    .setColor(config.colors.primary)
+                    .setTitle(languageManager.translate('embeds.broadcast.title'))
+                    .setDescription(languageManager.translate('messages.filtersPrompt'))
+                    .addField(languageManager.translate('embeds.broadcast.filters'), this.describeFilters(filters) || '-')
+            ],
+            components: [
+                new MessageActionRow()
+                    .addComponents(
+                        new MessageSelectMenu()
+                            .setCustomId('filters_flags')
+                            .setPlaceholder(languageManager.translate('messages.selectFilters'))
+                            .setMinValues(0)
+                            .setMaxValues(FILTER_FLAGS.length)
+                            .addOptions(FILTER_FLAGS.map(flag => ({
+                                label: languageManager.translate(`messages.filterOptions.${flag}`),
+                                value: flag,
+                                default: selected.includes(flag)
+                            })))
+                    ),
+                new MessageActionRow()
+                    .addComponents(
+                        new MessageButton()
+                            .setCustomId('filters_dates')
+                            .setLabel(languageManager.translate('buttons.filterDates'))
+                            .setStyle('PRIMARY'),
+                        new MessageButton()
+                            .setCustomId('filters_clear')
+                            .setLabel(languageManager.translate('buttons.clearFilters'))
+                            .setStyle('SECONDARY'),
+                        new MessageButton()
+                            .setCustomId('filters_done')
+                            .setLabel(languageManager.translate('buttons.done'))
+                            .setStyle('SUCCESS')
+                    )
+            ]
+        };
+    }
+
+    createFilterDatesModal(userId) {
+        const filters = this.sessions.get(userId)?.filters || {};
+        const formatDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+        const joinedAfterInput = new TextInputComponent()
+            .setCustomId('filter_joined_after')
+            .setLabel(languageManager.translate('messages.joinedAfterLabel'))
+            .setPlaceholder('2024-01-31')
+            .setStyle('SHORT')
+            .setRequired(false);
+        const joinedBeforeInput = new TextInputComponent()
+            .setCustomId('filter_joined_before')
+            .setLabel(languageManager.translate('messages.joinedBeforeLabel'))
+            .setPlaceholder('2024-12-31')
+            .setStyle('SHORT')
+            .setRequired(false);
+        const accountAgeInput = new TextInputComponent()
+            .setCustomId('filter_account_age')
+            .setLabel(languageManager.translate('messages.accountAgeLabel'))
+            .setPlaceholder('30')
+            .setStyle('SHORT')
+            .setRequired(false);
+
+        if (filters.joinedAfter) joinedAfterInput.setValue(formatDate(filters.joinedAfter));
+        if (filters.joinedBefore) joinedBeforeInput.setValue(formatDate(filters.joinedBefore));
+        if (filters.minAccountAgeDays) accountAgeInput.setValue(`${filters.minAccountAgeDays}`);
+
+        return new Modal()
+            .setCustomId('filters_dates_modal')
+            .setTitle(languageManager.translate('embeds.broadcast.filterDatesTitle'))
+            .addComponents(
+                new MessageActionRow().addComponents(joinedAfterInput),
+                new MessageActionRow().addComponents(joinedBeforeInput),
+                new MessageActionRow().addComponents(accountAgeInput)
+            );
+    }
+
+    async handleFiltersPanel(interaction, broadcastMessage) {
+        const session = this.sessions.get(interaction.user.id);
+        const filters = { ...session?.filters };
+
+        switch (interaction.customId) {
+            case 'filters_flags':
+                ['booster', 'nickname', 'pending'].forEach(flag => {
+                    if (interaction.values.includes(flag)) filters[flag] = true;
+                    else delete filters[flag];
+                });
+                filters.statuses = interaction.values.filter(value => value === 'dnd' || value === 'idle');
+                if (filters.statuses.length === 0) delete filters.statuses;
+                break;
+
+            case 'filters_dates':
+                return interaction.showModal(this.createFilterDatesModal(interaction.user.id));
+
+            case 'filters_clear':
+                Object.keys(filters).forEach(key => delete filters[key]);
+                break;
+
+            case 'filters_done':
+                return interaction.update({
+                    embeds: [
+                        this.createDraftEmbed(broadcastMessage, session.attachments)
+                            .addFields(session.filters && Object.keys(session.filters).length > 0
+                                ? [{ name: languageManager.translate('embeds.broadcast.filters'), value: this.describeFilters(session.filters) }]
+                                : []),
+                        ...this.createPreviewEmbeds(session.embed)
+                    ],
+                    components: this.createTargetButtons()
+                });
+        }
+
+        this.sessions.set(interaction.user.id, { ...session, filters });
+        await interaction.update(this.createFiltersPanel(interaction.user.id));
+    }
+
+    async handleFilterDatesSubmit(interaction) {
+        const session = this.sessions.get(interaction.user.id);
+        if (!session) {
+            return interaction.reply({
+                content: languageManager.translate('messages.sessionExpired'),
+                ephemeral: true
+            });
+        }
+
+        const joinedAfter = interaction.fields.getTextInputValue('filter_joined_after').trim();
+        const joinedBefore = interaction.fields.getTextInputValue('filter_joined_before').trim();
+        const accountAge = interaction.fields.getTextInputValue('filter_account_age').trim();
+
+        const errors = [];
+        const parseDate = (value) => {
+            if (!value) return null;
+            const timestamp = DATE_PATTERN.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+            if (Number.isNaN(timestamp)) {
+                errors.push(languageManager.translate('messages.invalidFilterDate', value));
+                return null;
+            }
+            return timestamp;
+        };
+
+        const filters = { ...session.filters };
+        const after = parseDate(joinedAfter);
+        const before = parseDate(joinedBefore);
+        const days = accountAge ? Number(accountAge) : null;
+
+        if (days !== null && (!Number.isInteger(days) || days <= 0)) {
+            errors.push(languageManager.translate('messages.invalidAccountAge'));
+        }
+        if (after && before && after >= before) {
+            errors.push(languageManager.translate('messages.invalidDateRange'));
+        }
+
+        if (errors.length > 0) {
+            return interaction.reply({
+                embeds: [
+                    new MessageEmbed()
+                        .setColor(config.colors.error)
+                        .setTitle(languageManager.translate('embeds.errors.invalidFilters'))
+                        .setDescription(errors.map(error => `• ${error}`).join('\n'))
+                ],
+                ephemeral: true
+            });
+        }
+
+        if (after) filters.joinedAfter = after;
+        else delete filters.joinedAfter;
+        if (before) filters.joinedBefore = before;
+        else delete filters.joinedBefore;
+        if (days) filters.minAccountAgeDays = days;
+        else delete filters.minAccountAgeDays;
+
+        this.sessions.set(interaction.user.id, { ...session, filters });
+        await interaction.update(this.createFiltersPanel(interaction.user.id));
+    }
+
+    getPickerRoles(guild) {
+        return [...guild.roles.cache
+            .filter(role => !role.managed && role.id !== guild.id)
+            .sort((a, b) => b.position - a.position)
+            .values()];
+    }
+
+    async showRolePicker(interaction) {
+        if (this.getPickerRoles(interaction.guild).length === 0) {
+            return this.respond(interaction, {
+                embeds: [
+                    new MessageEmbed()
+                        .setColor(config.colors.error)
+                        .setTitle(languageManager.translate('embeds.errors.missingRole'))
+                        .setDescription(languageManager.translate('messages.missingRole'))
+                ],
+                components: []
+            });
+        }
+
+        await interaction.guild.members.fetch();
+
+        this.sessions.set(interaction.user.id, {
+            ...this.sessions.get(interaction.user.id),
+            rolePicker: { include: [], exclude: [], match: 'any', page: 0 }
+        });
+
+        await this.respond(interaction, this.createRolePicker(interaction.guild, interaction.user.id));
+    }
+
+    createRolePicker(guild, userId) {
+        const picker = this.sessions.get(userId).rolePicker;
+        const roles = this.getPickerRoles(guild);
+        const pageCount = Math.ceil(roles.length / ROLES_PER_PAGE);
+        const pageRoles = roles.slice(picker.page * ROLES_PER_PAGE, (picker.page + 1) * ROLES_PER_PAGE);
+
+        const filters = this.sessions.get(userId).filters;
+        const { members } = this.excludeAudience(userId,
+            guild.members.cache.filter(member =>
+                !member.user.bot && matchesRoleFilter(member, picker) && matchesFilters(member, filters)
+            )
+        );
+        const mentionRoles = (roleIds) => roleIds.map(roleId => `<@&${roleId}>`).join(', ').slice(0, 1024) || '-';
+
+        const createRoleMenu = (customId, placeholder, selected) => new MessageActionRow()
+            .addComponents(
+                new MessageSelectMenu()
+                    .setCustomId(customId)
+                    .setPlaceholder(placeholder)
+                    .setMinValues(0)
+                    .setMaxValues(pageRoles.length)
+                    .addOptions(pageRoles.map(role => ({
+                        label: role.name.substring(0, 25),
+                        value: role.id,
+                        description: `Members: ${role.members.size}`,
+                        default: selected.includes(role.id)
+                    })))
+            );
+
+        const embed = new MessageEmbed()
+            .setColor(config.colors.primary)
+            .setTitle(languageManager.translate('embeds.broadcast.title'))
+            .setDescription(languageManager.translate('messages.rolePicker'))
+            .addField(languageManager.translate('embeds.broadcast.includedRoles'), mentionRoles(picker.include))
+            .addField(languageManager.translate('embeds.broadcast.excludedRoles'), mentionRoles(picker.exclude))
+            .addField(
+                languageManager.translate('embeds.broadcast.audienceSize'),
+                `${members.size} ${languageManager.translate('messages.members')}`
+            )
+            .setFooter({ text: languageManager.translate('embeds.broadcast.rolePage', picker.page + 1, pageCount) });
+
+        const navigationRow = new MessageActionRow()
+            .addComponents(
+                new MessageButton()
+                    .setCustomId('roles_prev')
+                    .setLabel(languageManager.translate('buttons.previousPage'))
+                    .setStyle('SECONDARY')
+                    .setDisabled(picker.page === 0),
+                new MessageButton()
+                    .setCustomId('roles_next')
+                    .setLabel(languageManager.translate('buttons.nextPage'))
+                    .setStyle('SECONDARY')
+                    .setDisabled(picker.page >= pageCount - 1),
+                new MessageButton()
+                    .setCustomId('roles_match')
+                    .setLabel(languageManager.translate(picker.match === 'all' ? 'buttons.matchAll' : 'buttons.matchAny'))
+                    .setStyle('PRIMARY'),
+                new MessageButton()
+                    .setCustomId('roles_done')
+                    .setLabel(languageManager.translate('buttons.continue'))
+                    .setStyle('SUCCESS')
+                    .setDisabled(picker.include.length === 0 && picker.exclude.length === 0),
+                new MessageButton()
+                    .setCustomId('bc_cancel')
+                    .setLabel(languageManager.translate('buttons.cancel'))
+                    .setStyle('DANGER')
+            );
+
+        return {
+            embeds: [embed],
+            components: [
+                createRoleMenu('roles_include', languageManager.translate('messages.selectIncludeRoles'), picker.include),
+                createRoleMenu('roles_exclude', languageManager.translate('messages.selectExcludeRoles'), picker.exclude),
+                navigationRow
+            ]
+        };
+    }
+
+    async handleRolePicker(interaction, broadcastMessage) {
+        const picker = this.sessions.get(interaction.user.id)?.rolePicker;
+        if (!picker) {
+            return interaction.reply({
+                content: languageManager.translate('messages.sessionExpired'),
+                ephemeral: true
+            });
+        }
+
+        const roles = this.getPickerRoles(interaction.guild);
+        const pageRoleIds = roles
+            .slice(picker.page * ROLES_PER_PAGE, (picker.page + 1) * ROLES_PER_PAGE)
+            .map(role => role.id);
+        const action = interaction.customId.split('_')[1];
+
+        switch (action) {
+            case 'include':
+                picker.include = picker.include.filter(roleId => !pageRoleIds.includes(roleId)).concat(interaction.values);
+                picker.exclude = picker.exclude.filter(roleId => !interaction.values.includes(roleId));
+                break;
+
+            case 'exclude':
+                picker.exclude = picker.exclude.filter(roleId => !pageRoleIds.includes(roleId)).concat(interaction.values);
+                picker.include = picker.include.filter(roleId => !interaction.values.includes(roleId));
+                break;
+
+            case 'prev':
+                picker.page = Math.max(0, picker.page - 1);
+                break;
+
+            case 'next':
+                picker.page = Math.min(Math.ceil(roles.length / ROLES_PER_PAGE) - 1, picker.page + 1);
+                break;
+
+            case 'match':
+                picker.match = picker.match === 'all' ? 'any' : 'all';
+                break;
+
+            case 'done':
+                return this.handleRolesSelection(interaction, broadcastMessage);
+        }
+
+        await interaction.update(this.createRolePicker(interaction.guild, interaction.user.id));
+    }
+
+    describeRoleTarget(guild, target) {
+        const roleNames = (roleIds) => roleIds
+            .map(roleId => guild.roles.cache.get(roleId)?.name || roleId)
+            .join(', ');
+
+        const parts = [];
+        if (target.include.length > 0) {
+            parts.push(languageManager.translate(
+                target.match === 'all' ? 'messages.rolesMatchAll' : 'messages.rolesMatchAny',
+                roleNames(target.include)
+            ));
+        }
+        if (target.exclude.length > 0) {
+            parts.push(languageManager.translate('messages.rolesExcluding', roleNames(target.exclude)));
+        }
+
+        return `${languageManager.translate('buttons.roleMembers')}: ${parts.join('; ')}`;
+    }
+
+    async handleRolesSelection(interaction, broadcastMessage) {
+        const { include, exclude, match } = this.sessions.get(interaction.user.id).rolePicker;
+        const target = this.withFilters(interaction.user.id, { type: 'roles', include, exclude, match });
+        const { members, exclusions } = this.excludeAudience(interaction.user.id, await resolveTargetMembers(interaction.guild, target));
+        const targetDescription = this.describeTarget(this.describeRoleTarget(interaction.guild, target), target);
+
+        this.sessions.set(interaction.user.id, {
+            ...this.sessions.get(interaction.user.id),
+            target,
+            targetMembers: members,
+            targetDescription
+        });
+
+        const confirmEmbed = this.createConfirmationEmbed(
+            interaction.user.id,
+            broadcastMessage,
+            `${targetDescription} (${members.size} ${languageManager.translate('messages.members')})`,
+            exclusions
+        );
+
+        await interaction.update({
+            embeds: [confirmEmbed, ...this.createPreviewEmbeds(this.sessions.get(interaction.user.id).embed)],
+            components: this.createConfirmationButtons(interaction.user.id)
+        });
+
+        logger.info(`Roles selected: ${targetDescription} with ${members.size} members by ${interaction.user.tag}`);
+    }
+
+    createLanguagePrompt() {
+        const langs = languageManager.getAllLanguages();
+        const langOptions = Object.values(langs).map(lang => {
+            return `${lang.language.code}: ${lang.language.native}`;
+        }).join('\n');
+        
+        const embed = new MessageEmbed()
+            .setColor(config.colors.primary)
+            .setTitle(languageManager.translate('system.languageSelection'))
+            .setDescription(languageManager.translate('system.selectLanguage') + '\n\n' + langOptions);
+
+        return {
+            embeds: [embed],
+            components: [this.createLanguageMenu()]
+        };
     }
 
     createLanguageMenu() {
@@ -266,7 +2369,7 @@ class BroadcastController {
                 label: lang.language.name,
                 description: lang.language.native,
                 value: lang.language.code,
-                default: lang.language.code === languageManager.getDefaultLanguageCode()
+                default: lang.language.code === languageManager.getActiveLanguageCode()
             };
         });
         
@@ -279,141 +2382,139 @@ class BroadcastController {
             );
     }
 
-    createConfirmationButtons() {
+    createConfirmationButtons(userId) {
         const lang = languageManager.getLanguage();
         
-        return new MessageActionRow()
+        const row = new MessageActionRow()
             .addComponents(
                 new MessageButton()
                     .setCustomId('bc_confirm')
                     .setLabel(lang.buttons.confirm.split(' ')[1])
                     .setEmoji('✅')
                     .setStyle('SUCCESS'),
+                new MessageButton()
+                    .setCustomId('bc_schedule')
+                    .setLabel(lang.buttons.schedule.split(' ')[1])
+                    .setEmoji('🕒')
+                    .setStyle('PRIMARY'),
+                new MessageButton()
+                    .setCustomId('bc_recurring')
+                    .setLabel(lang.buttons.recurring.split(' ')[1])
+                    .setEmoji('🔁')
+                    .setStyle('PRIMARY'),
+                new MessageButton()
+                    .setCustomId('bc_compose')
+                    .setLabel(lang.buttons.editDraft.split(' ')[1])
+                    .setEmoji('✏️')
+                    .setStyle('SECONDARY'),
                 new MessageButton()
                     .setCustomId('bc_cancel')
                     .setLabel(lang.buttons.cancel.split(' ')[1])
                     .setEmoji('❌')
                     .setStyle('DANGER')
             );
+
+        const dryRunRow = new MessageActionRow()
+            .addComponents(
+                new MessageButton()
+                    .setCustomId('bc_dryrun')
+                    .setLabel(lang.buttons.dryRun.split(' ').slice(1).join(' '))
+                    .setEmoji('🧪')
+                    .setStyle('SECONDARY')
+            );
+
+        if (frequencyCap.isEnabled(this.sessions.get(userId)?.guildId)) {
+            dryRunRow.addComponents(
+                new MessageButton()
+                    .setCustomId('bc_urgent')
+                    .setLabel(lang.buttons.urgent.split(' ').slice(1).join(' '))
+                    .setEmoji('⚡')
+                    .setStyle('SECONDARY')
+            );
+        }
+
+        return [row, dryRunRow];
+    }
+
+    async handleUrgentToggle(interaction, broadcastMessage) {
+        const session = this.sessions.get(interaction.user.id);
+        if (!session?.target) {
+            return interaction.reply({
+                content: languageManager.translate('messages.sessionExpired'),
+                ephemeral: true
+            });
+        }
+
+        this.sessions.set(interaction.user.id, { ...session, urgent: !session.urgent });
+        const { members, exclusions } = this.excludeAudience(
+            interaction.user.id,
+            await resolveTargetMembers(interaction.guild, session.target)
+        );
+        this.sessions.set(interaction.user.id, { ...this.sessions.get(interaction.user.id), targetMembers: members });
+
+        const confirmEmbed = this.createConfirmationEmbed(
+            interaction.user.id,
+            broadcastMessage,
+            `${session.targetDescription} (${members.size} ${languageManager.translate('messages.members')})`,
+            exclusions
+        );
+
+        await interaction.update({
+            embeds: [confirmEmbed, ...this.createPreviewEmbeds(session.embed)],
+            components: this.createConfirmationButtons(interaction.user.id)
+        });
+
+        logger.info(`Frequency cap ${session.urgent ? 'restored' : 'overridden'} for ${members.size} members by ${interaction.user.tag}`);
     }
 
     async handleTargetSelection(interaction, target, broadcastMessage) {
         try {
-            const lang = languageManager.getDefaultLanguageCode();
+            const lang = languageManager.getActiveLanguageCode();
             const languages = languageManager.getAllLanguages();
             
-            await interaction.guild.members.fetch({ withPresences: true });
-            let members = interaction.guild.members.cache.filter(member => !member.user.bot);
             let targetMembers = null;
             let targetDescription = '';
+            let exclusions = null;
+            const targetFilter = this.withFilters(interaction.user.id, { type: target });
 
             switch (target) {
                 case 'all':
-                    targetMembers = members;
-                    targetDescription = languages[lang].buttons.allMembers;
-                    break;
-
                 case 'online':
-                    targetMembers = members.filter(member => 
-                        member.presence && 
-                        (member.presence.status === 'online' || 
-                         member.presence.status === 'idle' || 
-                         member.presence.status === 'dnd')
-                    );
-                    targetDescription = languages[lang].buttons.onlineMembers;
-                    break;
-
                 case 'offline':
-                    targetMembers = members.filter(member => 
-                        !member.presence || member.presence.status === 'offline'
-                    );
-                    targetDescription = languages[lang].buttons.offlineMembers;
+                    ({ members: targetMembers, exclusions } = this.excludeAudience(
+                        interaction.user.id,
+                        await resolveTargetMembers(interaction.guild, targetFilter)
+                    ));
+                    targetDescription = this.describeTarget(languages[lang].buttons[`${target}Members`], targetFilter);
                     break;
 
                 case 'role':
-                    const roleRow = new MessageActionRow()
-                        .addComponents(
-                            new MessageSelectMenu()
-                                .setCustomId('select_role')
-                                .setPlaceholder(languages[lang].messages.selectRole)
-                                .addOptions(
-                                    interaction.guild.roles.cache
-                                        .filter(role => !role.managed && role.id !== interaction.guild.id)
-                                        .map(role => ({
-                                            label: role.name.substring(0, 25),
-                                            value: role.id,
-                                            description: `Members: ${role.members.size}`
-                                        }))
-                                        .slice(0, 25)
-                                )
-                        );
-                    
-                    await interaction.update({
-                        embeds: [
-                            new MessageEmbed()
-                                .setColor(config.colors.primary)
-                                .setTitle(languages[lang].embeds.broadcast.title)
-                                .setDescription(languages[lang].messages.selectRole)
-                        ],
-                        components: [roleRow]
-                    });
+                    await this.showRolePicker(interaction);
                     return;
 
                 case 'user':
-                    const userRow = new MessageActionRow()
-                        .addComponents(
-                            new MessageSelectMenu()
-                                .setCustomId('select_user')
-                                .setPlaceholder(languages[lang].messages.selectUser)
-                                .addOptions(
-                                    interaction.guild.members.cache
-                                        .filter(member => !member.user.bot)
-                                        .map(member => ({
-                                            label: member.user.username.substring(0, 25),
-                                            value: member.id,
-                                            description: member.nickname ? member.nickname.substring(0, 50) : 'No nickname'
-                                        }))
-                                        .slice(0, 25)
-                                )
-                        );
-                    
-                    await interaction.update({
-                        embeds: [
-                            new MessageEmbed()
-                                .setColor(config.colors.primary)
-                                .setTitle(languages[lang].embeds.broadcast.title)
-                                .setDescription(languages[lang].messages.selectUser)
-                        ],
-                        components: [userRow]
-                    });
+                    await interaction.showModal(this.createUserListModal());
                     return;
             }
 
             if (targetMembers) {
                 this.sessions.set(interaction.user.id, {
                     ...this.sessions.get(interaction.user.id),
-                    targetMembers
+                    target: targetFilter,
+                    targetMembers,
+                    targetDescription
                 });
 
-                const confirmEmbed = new MessageEmbed()
-                    .setColor(config.colors.primary)
-                    .setTitle(languages[lang].embeds.broadcast.title)
-                    .addField(
-                        languages[lang].embeds.broadcast.messageContent,
-                        `\`\`\`${broadcastMessage.length > MAX_PREVIEW_LENGTH ? 
-                            broadcastMessage.slice(0, MAX_PREVIEW_LENGTH) + '...' : 
-                            broadcastMessage}\`\`\``
-                    )
-                    .addField(
-                        languages[lang].embeds.broadcast.targetAudience,
-                        `${targetDescription} (${targetMembers.size} ${languages[lang].messages.members})`
-                    )
-                    .setFooter(`Broadcast System • Multiple Clients: ${broadcastManager.clients.length}`)
-                    .setTimestamp();
+                const confirmEmbed = this.createConfirmationEmbed(
+                    interaction.user.id,
+                    broadcastMessage,
+                    `${targetDescription} (${targetMembers.size} ${languages[lang].messages.members})`,
+                    exclusions
+                );
 
-                await interaction.update({
-                    embeds: [confirmEmbed],
-                    components: [this.createConfirmationButtons()]
+                await this.respond(interaction, {
+                    embeds: [confirmEmbed, ...this.createPreviewEmbeds(this.sessions.get(interaction.user.id).embed)],
+                    components: this.createConfirmationButtons(interaction.user.id)
                 });
                 
                 logger.info(`Target selected: ${targetDescription} with ${targetMembers.size} members by ${interaction.user.tag}`);
@@ -429,13 +2530,13 @@ class BroadcastController {
 
     async handleRoleSelection(interaction, roleId, broadcastMessage) {
         try {
-            const lang = languageManager.getDefaultLanguageCode();
+            const lang = languageManager.getActiveLanguageCode();
             const languages = languageManager.getAllLanguages();
             
             const role = interaction.guild.roles.cache.get(roleId);
             
             if (!role) {
-                return interaction.update({
+                return this.respond(interaction, {
                     embeds: [
                         new MessageEmbed()
                             .setColor(config.colors.error)
@@ -446,34 +2547,27 @@ class BroadcastController {
                 });
             }
 
-            await interaction.guild.members.fetch();
-            const members = interaction.guild.members.cache
-                .filter(member => !member.user.bot && member.roles.cache.has(role.id));
+            const target = this.withFilters(interaction.user.id, { type: 'role', roleId: role.id });
+            const { members, exclusions } = this.excludeAudience(interaction.user.id, await resolveTargetMembers(interaction.guild, target));
+            const targetDescription = this.describeTarget(`${languages[lang].buttons.roleMembers}: ${role.name}`, target);
 
             this.sessions.set(interaction.user.id, {
                 ...this.sessions.get(interaction.user.id),
-                targetMembers: members
+                target,
+                targetMembers: members,
+                targetDescription
             });
 
-            const confirmEmbed = new MessageEmbed()
-                .setColor(config.colors.primary)
-                .setTitle(languages[lang].embeds.broadcast.title)
-                .addField(
-                    languages[lang].embeds.broadcast.messageContent,
-                    `\`\`\`${broadcastMessage.length > MAX_PREVIEW_LENGTH ? 
-                        broadcastMessage.slice(0, MAX_PREVIEW_LENGTH) + '...' : 
-                        broadcastMessage}\`\`\``
-                )
-                .addField(
-                    languages[lang].embeds.broadcast.targetAudience,
-                    `${languages[lang].buttons.roleMembers}: ${role.name} (${members.size} ${languages[lang].messages.members})`
-                )
-                .setFooter(`Broadcast System • Multiple Clients: ${broadcastManager.clients.length}`)
-                .setTimestamp();
+            const confirmEmbed = this.createConfirmationEmbed(
+                interaction.user.id,
+                broadcastMessage,
+                `${targetDescription} (${members.size} ${languages[lang].messages.members})`,
+                exclusions
+            );
 
-            await interaction.update({
-                embeds: [confirmEmbed],
-                components: [this.createConfirmationButtons()]
+            await this.respond(interaction, {
+                embeds: [confirmEmbed, ...this.createPreviewEmbeds(this.sessions.get(interaction.user.id).embed)],
+                components: this.createConfirmationButtons(interaction.user.id)
             });
             
             logger.info(`Role selected: ${role.name} with ${members.size} members by ${interaction.user.tag}`);
@@ -486,66 +2580,107 @@ class BroadcastController {
         }
     }
 
-    async handleUserSelection(interaction, userId, broadcastMessage) {
-        try {
-            const lang = languageManager.getDefaultLanguageCode();
-            const languages = languageManager.getAllLanguages();
-            
-            const member = await interaction.guild.members.fetch(userId).catch(() => null);
-            
-            if (!member) {
-                return interaction.update({
-                    embeds: [
-                        new MessageEmbed()
-                            .setColor(config.colors.error)
-                            .setTitle(languages[lang].embeds.errors.userNotFound)
-                            .setDescription(languages[lang].messages.userNotFound)
-                    ],
-                    components: []
-                });
-            }
+    createUserListModal() {
+        return new Modal()
+            .setCustomId('bc_users_modal')
+            .setTitle(languageManager.translate('embeds.broadcast.userListTitle'))
+            .addComponents(
+                new MessageActionRow().addComponents(
+                    new TextInputComponent()
+                        .setCustomId('users_list')
+                        .setLabel(languageManager.translate('messages.userListLabel'))
+                        .setPlaceholder('<@123456789012345678> 234567890123456789')
+                        .setStyle('PARAGRAPH')
+                        .setRequired(true)
+                )
+            );
+    }
 
-            const members = new Map();
-            members.set(member.id, member);
-            this.sessions.set(interaction.user.id, {
-                ...this.sessions.get(interaction.user.id),
-                targetMembers: members
-            });
+    async createUserListConfirmation(userId, guild, userIds, invalidEntries, broadcastMessage) {
+        if (userIds.length === 0) {
+            return {
+                embeds: [
+                    new MessageEmbed()
+                        .setColor(config.colors.error)
+                        .setTitle(languageManager.translate('embeds.errors.userNotFound'))
+                        .setDescription(languageManager.translate('messages.noUserIds'))
+                ],
+                components: this.createTargetButtons()
+            };
+        }
 
-            const confirmEmbed = new MessageEmbed()
-                .setColor(config.colors.primary)
-                .setTitle(languages[lang].embeds.broadcast.title)
-                .addField(
-                    languages[lang].embeds.broadcast.messageContent,
-                    `\`\`\`${broadcastMessage.length > MAX_PREVIEW_LENGTH ? 
-                        broadcastMessage.slice(0, MAX_PREVIEW_LENGTH) + '...' : 
-                        broadcastMessage}\`\`\``
-                )
-                .addField(
-                    languages[lang].embeds.broadcast.targetAudience,
-                    `${languages[lang].buttons.specificMember}: ${member.user.tag}`
-                )
-                .setFooter(`Broadcast System • Multiple Clients: ${broadcastManager.clients.length}`)
-                .setTimestamp();
+        const listed = await resolveTargetMembers(guild, { type: 'users', userIds });
+        const target = this.withFilters(userId, { type: 'users', userIds });
+        const { members, exclusions } = this.excludeAudience(userId,
+            target.filters ? listed.filter(member => matchesFilters(member, target.filters)) : listed
+        );
+        const targetDescription = this.describeTarget(
+            `${languageManager.translate('buttons.specificMember')}: ${languageManager.translate('messages.listedUsers', userIds.length)}`,
+            target
+        );
 
-            await interaction.update({
-                embeds: [confirmEmbed],
-                components: [this.createConfirmationButtons()]
-            });
-            
-            logger.info(`User selected: ${member.user.tag} by ${interaction.user.tag}`);
+        this.sessions.set(userId, {
+            ...this.sessions.get(userId),
+            target,
+            targetMembers: members,
+            targetDescription
+        });
+
+        const confirmEmbed = this.createConfirmationEmbed(
+            userId,
+            broadcastMessage,
+            `${targetDescription} (${members.size} ${languageManager.translate('messages.members')})`,
+            exclusions
+        );
+
+        const unmatched = [
+            ...invalidEntries,
+            ...userIds.filter(id => !listed.has(id))
+        ];
+        if (unmatched.length > 0) {
+            const shown = unmatched.slice(0, MAX_UNMATCHED_ENTRIES).map(entry => `\`${entry}\``).join(', ');
+            const more = unmatched.length > MAX_UNMATCHED_ENTRIES
+                ? ` ${languageManager.translate('messages.andMore', unmatched.length - MAX_UNMATCHED_ENTRIES)}`
+                : '';
+            confirmEmbed.addField(
+                languageManager.translate('embeds.broadcast.unmatchedUsers', unmatched.length),
+                `${shown}${more}`.slice(0, 1024)
+            );
+        }
+
+        return {
+            embeds: [confirmEmbed, ...this.createPreviewEmbeds(this.sessions.get(userId).embed)],
+            components: members.size > 0 ? this.createConfirmationButtons(userId) : this.createTargetButtons()
+        };
+    }
+
+    async handleUserListSelection(interaction, userIds, invalidEntries, broadcastMessage) {
+        try {
+            const payload = await this.createUserListConfirmation(
+                interaction.user.id, interaction.guild, userIds, invalidEntries, broadcastMessage
+            );
+
+            if (interaction.deferred) {
+                await interaction.editReply(payload);
+            } else if (interaction.isModalSubmit?.() && !interaction.isFromMessage()) {
+                await interaction.reply({ ...payload, ephemeral: true });
+            } else {
+                await this.respond(interaction, payload);
+            }
+
+            logger.info(`User list with ${userIds.length} ID(s) selected by ${interaction.user.tag}`);
         } catch (error) {
-            logger.error(`Error in handleUserSelection: ${error.message}`, error);
+            logger.error(`Error in handleUserListSelection: ${error.message}`, error);
             await interaction.reply({
-                content: 'An error occurred while selecting the user. Please try again.',
+                content: 'An error occurred while selecting the users. Please try again.',
                 ephemeral: true
-            });
+            }).catch(() => null);
         }
     }
 
-    async handleConfirmation(interaction, confirmed) {
+    async handleConfirmation(interaction, confirmed, { dryRun = false } = {}) {
         try {
-            const lang = languageManager.getDefaultLanguageCode();
+            const lang = languageManager.getActiveLanguageCode();
             const languages = languageManager.getAllLanguages();
             
             const broadcastMessage = this.broadcasts.get(interaction.user.id);
@@ -558,10 +2693,27 @@ class BroadcastController {
                 });
             }
 
+            if (confirmed && session.targetMembers.size === 0) {
+                return interaction.reply({
+                    content: languages[lang].messages.noEligibleMembers,
+                    ephemeral: true
+                });
+            }
+
+            const { maxRecipients } = guildSettings.get(session.guildId)?.limits || {};
+            if (confirmed && maxRecipients > 0 && session.targetMembers.size > maxRecipients) {
+                return interaction.reply({
+                    content: languageManager.translate('messages.recipientLimitExceeded', maxRecipients, session.targetMembers.size),
+                    ephemeral: true
+                });
+            }
+
             if (confirmed) {
                 const statusEmbed = new MessageEmbed()
                     .setColor(config.colors.warning)
-                    .setTitle(languages[lang].embeds.broadcast.processing)
+                    .setTitle(dryRun
+                        ? `${languages[lang].embeds.broadcast.dryRun} • ${languages[lang].embeds.broadcast.processing}`
+                        : languages[lang].embeds.broadcast.processing)
                     .setDescription(languages[lang].messages.startingBroadcast.replace('{0}', session.targetMembers.size))
                     .setFooter(`Broadcast System • Multiple Clients: ${broadcastManager.clients.length}`)
                     .setTimestamp();
@@ -571,15 +2723,36 @@ class BroadcastController {
                     embeds: [statusEmbed]
                 });
                 
-                logger.info(`Broadcast confirmed by ${interaction.user.tag} to ${session.targetMembers.size} members`);
+                logger.info(`Broadcast ${dryRun ? 'dry run' : 'confirmed'} by ${interaction.user.tag} to ${session.targetMembers.size} members`);
+
+                // The job takes over the attachments, so a new draft started while it
+                // runs can neither delete them nor be cleared when it finishes
+                if (!dryRun) {
+                    this.broadcasts.delete(interaction.user.id);
+                    this.sessions.delete(interaction.user.id);
+                }
                 
                 await broadcastManager.startBroadcast({
                     interaction,
                     members: session.targetMembers,
                     message: broadcastMessage,
+                    embed: session.embed,
+                    attachments: session.attachments,
+                    audience: session.targetDescription,
                     lang,
-                    languages
+                    languages,
+                    dryRun,
+                    ownsAttachments: true
                 });
+
+                if (dryRun) {
+                    await interaction.followUp({
+                        content: languages[lang].messages.dryRunFinished,
+                        components: this.createConfirmationButtons(interaction.user.id),
+                        ephemeral: true
+                    });
+                }
+                return;
             } else {
                 await interaction.update({ 
                     components: [], 
@@ -594,6 +2767,7 @@ class BroadcastController {
                 logger.info(`Broadcast canceled by ${interaction.user.tag}`);
             }
 
+            this.discardDraft(interaction.user.id);
             this.broadcasts.delete(interaction.user.id);
             this.sessions.delete(interaction.user.id);
         } catch (error) {
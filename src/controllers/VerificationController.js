@@ -1,37 +1,31 @@
 const { MessageActionRow, MessageButton, MessageEmbed } = require('discord.js');
 const config = require('../../config');
 const languageManager = require('../models/LanguageManager');
+const guildSettings = require('../models/GuildSettings');
 const { createLogger } = require('../utils/helpers');
 
 const logger = createLogger('VerificationController');
 const notifiedMembers = new Set();
 
-const buildButtons = (memberId) => {
+const buildButtons = (memberId, guildId) => {
     return new MessageActionRow().addComponents(
         new MessageButton()
-            .setCustomId(`verification:pass:${memberId}`)
+            .setCustomId(`verification:pass:${memberId}:${guildId}`)
             .setStyle('SUCCESS')
             .setLabel(languageManager.translate('verification.passButton')),
         new MessageButton()
-            .setCustomId(`verification:fail:${memberId}`)
+            .setCustomId(`verification:fail:${memberId}:${guildId}`)
             .setStyle('DANGER')
             .setLabel(languageManager.translate('verification.failButton'))
     );
 };
 
-const resolveLogChannelId = () => {
-    const verifyChannel = config.verification?.logChannelId;
-    if (verifyChannel && verifyChannel !== 'ID') return verifyChannel;
-
-    if (config.server.reportChannelId && config.server.reportChannelId !== 'ID') {
-        return config.server.reportChannelId;
-    }
-
-    return null;
+const resolveLogChannelId = (settings) => {
+    return settings.verification.logChannelId || settings.reportChannelId || null;
 };
 
-const sendLogMessage = async (client, user, actionKey) => {
-    const channelId = resolveLogChannelId();
+const sendLogMessage = async (client, settings, user, actionKey) => {
+    const channelId = resolveLogChannelId(settings);
     if (!channelId) return;
 
     try {
@@ -55,12 +49,12 @@ const sendLogMessage = async (client, user, actionKey) => {
 };
 
 const handleGuildMemberUpdate = async (oldMember, newMember) => {
-    if (!config.verification?.enabled) return;
     if (!newMember || !newMember.guild) return;
-    if (newMember.guild.id !== config.server.guildId) return;
+    if (!guildSettings.get(newMember.guild.id)?.verification.enabled) return;
 
     if (oldMember?.pending && !newMember.pending) {
-        if (notifiedMembers.has(newMember.id)) return;
+        const notificationKey = `${newMember.guild.id}:${newMember.id}`;
+        if (notifiedMembers.has(notificationKey)) return;
 
         const embed = new MessageEmbed()
             .setColor(config.colors.primary)
@@ -69,8 +63,8 @@ const handleGuildMemberUpdate = async (oldMember, newMember) => {
             .setFooter({ text: languageManager.translate('verification.dmFooter') });
 
         try {
-            await newMember.send({ embeds: [embed], components: [buildButtons(newMember.id)] });
-            notifiedMembers.add(newMember.id);
+            await newMember.send({ embeds: [embed], components: [buildButtons(newMember.id, newMember.guild.id)] });
+            notifiedMembers.add(notificationKey);
             logger.info(`Sent verification DM to ${newMember.user.tag}`);
         } catch (error) {
             logger.warn(`Failed to send verification DM to ${newMember.user.tag}: ${error.message}`);
@@ -79,11 +73,16 @@ const handleGuildMemberUpdate = async (oldMember, newMember) => {
 };
 
 const handleButtonInteraction = async (interaction) => {
-    if (!config.verification?.enabled) return false;
     if (!interaction.customId?.startsWith('verification:')) return false;
 
-    const [, action, memberId] = interaction.customId.split(':');
+    const [, action, memberId, guildId = config.server.guildId] = interaction.customId.split(':');
+    const settings = guildSettings.get(guildId);
+    if (!settings?.verification.enabled) return false;
+
+    return languageManager.run(settings.language, () => respondToButton(interaction, settings, action, memberId));
+};
 
+const respondToButton = async (interaction, settings, action, memberId) => {
     if (interaction.user.id !== memberId) {
         await interaction.reply({
             content: languageManager.translate('verification.notAllowed'),
@@ -99,7 +98,7 @@ const handleButtonInteraction = async (interaction) => {
         ephemeral: true
     });
 
-    await sendLogMessage(interaction.client, interaction.user, action);
+    await sendLogMessage(interaction.client, settings, interaction.user, action);
 
     return true;
 };
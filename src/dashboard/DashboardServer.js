@@ -6,12 +6,14 @@ const { createLogger, formatNumber, formatTime } = require('../utils/helpers');
 
 class DashboardServer {
     constructor(options) {
-        const { config, broadcastManager, languageManager, clients } = options;
+        const { config, broadcastManager, broadcastScheduler, languageManager, clientManager, guildSettings } = options;
 
         this.config = config;
         this.broadcastManager = broadcastManager;
+        this.broadcastScheduler = broadcastScheduler;
         this.languageManager = languageManager;
-        this.clientsRef = clients;
+        this.clientManager = clientManager;
+        this.guildSettings = guildSettings;
         this.logger = createLogger('Dashboard');
         this.dashboardConfig = config.dashboard || { enabled: false };
         this.apiKey = this.dashboardConfig.apiKey || '';
@@ -31,6 +33,7 @@ class DashboardServer {
         }
 
         const port = Number(this.dashboardConfig.port) || 3000;
+        const host = this.dashboardConfig.host || '127.0.0.1';
 
         this.app = express();
         this.app.use(express.json());
@@ -38,9 +41,12 @@ class DashboardServer {
         this.registerHealthRoute();
         this.registerAuthMiddleware();
         this.registerRoutes();
+        if (this.apiKey) {
+            this.registerWriteRoutes();
+        }
 
-        this.server = this.app.listen(port, () => {
-            this.logger.info(`Dashboard listening on port ${port}`);
+        this.server = this.app.listen(port, host, () => {
+            this.logger.info(`Dashboard listening on ${host}:${port}`);
         });
     }
 
@@ -52,19 +58,73 @@ class DashboardServer {
         }
     }
 
+    getGuildFilter(req) {
+        return typeof req.query.guild === 'string' && req.query.guild ? req.query.guild : null;
+    }
+
+    parseGuildChanges(body = {}) {
+        const isId = (value) => value === null || /^\d{17,20}$/.test(String(value));
+        const isCount = (value) => Number.isInteger(value) && value >= 0;
+        const changes = {};
+
+        if ('broadcastRoleId' in body) {
+            if (!isId(body.broadcastRoleId)) throw new Error('broadcastRoleId must be a Discord ID or null');
+            changes.broadcastRoleId = body.broadcastRoleId;
+        }
+        if ('reportChannelId' in body) {
+            if (!isId(body.reportChannelId)) throw new Error('reportChannelId must be a Discord ID or null');
+            changes.reportChannelId = body.reportChannelId;
+        }
+        if ('language' in body) {
+            if (body.language !== null && !this.languageManager.getAllLanguages()[body.language]) {
+                throw new Error(`Unknown language "${body.language}"`);
+            }
+            changes.language = body.language;
+        }
+        if (body.verification) {
+            const { enabled, logChannelId } = body.verification;
+            if (enabled !== undefined && typeof enabled !== 'boolean') throw new Error('verification.enabled must be a boolean');
+            if (logChannelId !== undefined && !isId(logChannelId)) throw new Error('verification.logChannelId must be a Discord ID or null');
+            changes.verification = { enabled, logChannelId };
+        }
+        if (body.limits) {
+            const { maxRecipients, maxBroadcasts } = body.limits;
+            if (maxRecipients !== undefined && !isCount(maxRecipients)) throw new Error('limits.maxRecipients must be a non-negative integer');
+            if (maxBroadcasts !== undefined && maxBroadcasts !== null && !isCount(maxBroadcasts)) {
+                throw new Error('limits.maxBroadcasts must be a non-negative integer or null');
+            }
+            changes.limits = { maxRecipients, maxBroadcasts };
+        }
+
+        ['verification', 'limits'].forEach(key => {
+            if (!changes[key]) return;
+            Object.keys(changes[key]).forEach(field => changes[key][field] === undefined && delete changes[key][field]);
+        });
+
+        if (Object.keys(changes).length === 0) {
+            throw new Error('No supported settings were provided');
+        }
+        return changes;
+    }
+
     getClients() {
-        return Array.isArray(this.clientsRef) ? this.clientsRef : [];
+        return Array.isArray(this.broadcastManager?.clients) ? this.broadcastManager.clients : [];
     }
 
     registerHealthRoute() {
         this.app.get('/health', (req, res) => {
-            res.json({ status: 'ok', uptime: process.uptime() });
+            const invalidRequests = this.broadcastManager.getInvalidRequestStatus();
+            res.json({
+                status: invalidRequests.open ? 'degraded' : 'ok',
+                uptime: process.uptime(),
+                invalidRequests
+            });
         });
     }
 
     registerAuthMiddleware() {
         if (!this.apiKey) {
-            this.logger.warn('Dashboard is running without an API key. Consider setting DASHBOARD_API_KEY for protection.');
+            this.logger.warn('Dashboard is running without an API key, so it is read-only. Set DASHBOARD_API_KEY to manage broadcasts, servers and bots from it.');
             return;
         }
 
@@ -96,28 +156,214 @@ class DashboardServer {
     registerRoutes() {
         this.app.get('/', (req, res) => {
             const key = this.apiKey ? req.dashboardKey : '';
-            res.send(this.renderDashboardPage(key));
+            res.send(this.renderDashboardPage(key, this.getGuildFilter(req)));
         });
 
         this.app.get('/api/status', (req, res) => {
-            res.json(this.getStatusPayload());
+            res.json(this.getStatusPayload(this.getGuildFilter(req)));
+        });
+
+        this.app.get('/api/guilds', (req, res) => {
+            res.json(this.guildSettings.list());
+        });
+
+        this.app.get('/api/schedules', (req, res) => {
+            res.json(this.getScheduledBroadcasts(this.getGuildFilter(req)));
+        });
+
+        this.app.get('/api/recurrences', (req, res) => {
+            res.json(this.broadcastScheduler ? this.broadcastScheduler.getRecurrences(this.getGuildFilter(req)) : []);
+        });
+
+        this.app.get('/api/history', (req, res) => {
+            const limit = Math.min(Number(req.query.limit) || 25, 200);
+            const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+            res.json(this.broadcastManager.getJobHistory({
+                limit,
+                offset,
+                initiator: typeof req.query.initiator === 'string' ? req.query.initiator : undefined,
+                status: typeof req.query.status === 'string' ? req.query.status : undefined,
+                since: Number(req.query.since) || undefined,
+                until: Number(req.query.until) || undefined,
+                guildId: this.getGuildFilter(req) || undefined
+            }));
+        });
+
+        this.app.get('/api/history/:jobId/report.:format(csv|json)', (req, res) => {
+            const { jobId, format } = req.params;
+            const report = this.broadcastManager.getDeliveryReport(jobId, format);
+            if (!report) {
+                return res.status(404).json({ error: 'Delivery report not found' });
+            }
+
+            res.type(format === 'csv' ? 'text/csv' : 'application/json');
+            res.attachment(`broadcast-${jobId}.${format}`);
+            res.send(report);
+        });
+
+        this.app.get('/api/history/:jobId', (req, res) => {
+            const job = this.broadcastManager.getJobDetails(req.params.jobId);
+            if (!job) {
+                return res.status(404).json({ error: 'Broadcast job not found' });
+            }
+            res.json(job);
         });
     }
 
-    getStatusPayload() {
-        const { stats, activeJobs, recentJobs, clientLoad } = this.broadcastManager.getDashboardState();
+    // Routes that change broadcasts, servers or bots are only served behind an API key
+    registerWriteRoutes() {
+        this.app.patch('/api/guilds/:guildId', (req, res) => {
+            if (!/^\d{17,20}$/.test(req.params.guildId)) {
+                return res.status(400).json({ error: 'Invalid guild ID' });
+            }
+
+            let changes;
+            try {
+                changes = this.parseGuildChanges(req.body);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            const settings = this.guildSettings.update(req.params.guildId, changes);
+            this.logger.info(`Settings for guild ${req.params.guildId} updated from dashboard`);
+            res.json(settings);
+        });
+
+        this.app.delete('/api/guilds/:guildId', (req, res) => {
+            if (!this.guildSettings.remove(req.params.guildId)) {
+                return res.status(404).json({ error: 'No stored settings for this guild' });
+            }
+
+            this.logger.info(`Settings for guild ${req.params.guildId} removed from dashboard`);
+            res.json(this.guildSettings.get(req.params.guildId) || { guildId: req.params.guildId });
+        });
+
+        this.app.post('/api/clients', async (req, res) => {
+            try {
+                const client = await this.clientManager.add(req.body?.token);
+                this.logger.info(`Client ${client.user.tag} added from dashboard`);
+                res.status(201).json({ id: client.user.id, tag: client.user.tag });
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        this.app.delete('/api/clients/:clientId', async (req, res) => {
+            if (!this.broadcastManager.getClient(req.params.clientId)) {
+                return res.status(404).json({ error: 'Client not found' });
+            }
+
+            try {
+                const client = await this.clientManager.remove(req.params.clientId);
+                this.logger.info(`Client ${client.user.tag} removed from dashboard`);
+                res.json({ id: client.user.id, tag: client.user.tag });
+            } catch (error) {
+                res.status(409).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/clients/:clientId/restart', async (req, res) => {
+            if (!this.broadcastManager.getClient(req.params.clientId)) {
+                return res.status(404).json({ error: 'Client not found' });
+            }
+
+            try {
+                const client = await this.clientManager.restart(req.params.clientId);
+                this.logger.info(`Client ${client.user.tag} restarted from dashboard`);
+                res.json({ id: client.user.id, tag: client.user.tag });
+            } catch (error) {
+                res.status(502).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/jobs/:jobId/:action(pause|resume|cancel)', (req, res) => {
+            const { jobId, action } = req.params;
+            const handlers = {
+                pause: () => this.broadcastManager.pauseJob(jobId),
+                resume: () => this.broadcastManager.resumeJob(jobId),
+                cancel: () => this.broadcastManager.cancelJob(jobId)
+            };
+
+            if (!this.broadcastManager.activeJobs.has(jobId)) {
+                return res.status(404).json({ error: 'Broadcast job not found' });
+            }
+
+            const job = handlers[action]();
+            if (!job) {
+                return res.status(409).json({ error: `Cannot ${action} job in state ${this.broadcastManager.getJobState(jobId)}` });
+            }
+
+            this.logger.info(`Broadcast job ${jobId} ${action} requested from dashboard`);
+            res.json(job);
+        });
+
+        this.app.delete('/api/schedules/:scheduleId', (req, res) => {
+            const schedule = this.broadcastScheduler?.cancel(req.params.scheduleId);
+            if (!schedule) {
+                return res.status(404).json({ error: 'Scheduled broadcast not found or already started' });
+            }
+
+            this.logger.info(`Scheduled broadcast ${schedule.id} cancelled from dashboard`);
+            res.json(schedule);
+        });
+
+        this.app.post('/api/recurrences/:recurrenceId/:action(pause|resume)', (req, res) => {
+            const { recurrenceId, action } = req.params;
+            const recurrence = action === 'pause'
+                ? this.broadcastScheduler?.pauseRecurrence(recurrenceId)
+                : this.broadcastScheduler?.resumeRecurrence(recurrenceId);
+
+            if (!recurrence) {
+                return res.status(409).json({ error: `Cannot ${action} recurring broadcast ${recurrenceId}` });
+            }
+
+            this.logger.info(`Recurring broadcast ${recurrenceId} ${action} from dashboard`);
+            res.json(recurrence);
+        });
+
+        this.app.delete('/api/recurrences/:recurrenceId', (req, res) => {
+            const recurrence = this.broadcastScheduler?.deleteRecurrence(req.params.recurrenceId);
+            if (!recurrence) {
+                return res.status(404).json({ error: 'Recurring broadcast not found' });
+            }
+
+            this.logger.info(`Recurring broadcast ${recurrence.id} deleted from dashboard`);
+            res.json(recurrence);
+        });
+    }
+
+    getScheduledBroadcasts(guildId = null) {
+        if (!this.broadcastScheduler) return [];
+
+        return this.broadcastScheduler.getUpcoming(guildId).map(schedule => ({
+            id: schedule.id,
+            guildId: schedule.guildId,
+            initiator: schedule.initiator,
+            audience: schedule.audience,
+            runAt: schedule.runAt,
+            timeZone: schedule.timeZone,
+            messagePreview: schedule.message.length > 140 ? `${schedule.message.slice(0, 140)}...` : schedule.message
+        }));
+    }
+
+    getStatusPayload(guildId = null) {
+        const { stats, activeJobs, recentJobs, clientLoad, clientHealth, invalidRequests } = this.broadcastManager.getDashboardState(guildId);
         const statsWithFormatting = {
             ...stats,
             uptimeFormatted: formatTime((stats?.uptime) || 0)
         };
         const loadLookup = new Map((clientLoad || []).map(({ clientId, load }) => [clientId, load]));
+        const healthLookup = new Map((clientHealth || []).map(({ clientId, ...health }) => [clientId, health]));
 
         const clients = this.getClients()
             .filter(client => client && client.user)
             .map(client => ({
                 id: client.user.id,
                 tag: client.user.tag,
-                status: this.normalizeGatewayStatus(client.ws?.status),
+                status: healthLookup.get(client.user.id)?.quarantined ? 'QUARANTINED' : this.normalizeGatewayStatus(client.ws?.status),
+                quarantine: healthLookup.get(client.user.id)?.quarantine || null,
+                errorRate: healthLookup.get(client.user.id)?.errorRate || 0,
                 ping: typeof client.ws?.ping === 'number' ? Math.round(client.ws.ping) : null,
                 guilds: client.guilds?.cache?.size || 0,
                 readyAt: client.readyAt ? client.readyAt.toISOString() : null,
@@ -136,16 +382,17 @@ class DashboardServer {
 
         return {
             version,
+            guildId,
             stats: statsWithFormatting,
             activeJobs,
             recentJobs,
+            scheduledBroadcasts: this.getScheduledBroadcasts(guildId),
             clientLoad,
             clients,
+            invalidRequests,
             language: languageData,
             configuration: {
-                guildId: this.config.server?.guildId || 'Not set',
-                broadcastRoleId: this.config.server?.broadcastRoleId || 'Not set',
-                reportChannelId: this.config.server?.reportChannelId || 'Not set'
+                guilds: this.guildSettings.list()
             },
             system: {
                 platform: process.platform,
@@ -167,8 +414,8 @@ class DashboardServer {
         };
     }
 
-    renderDashboardPage(apiKey = '') {
-        const data = this.getStatusPayload();
+    renderDashboardPage(apiKey = '', guildId = null) {
+        const data = this.getStatusPayload(guildId);
         const escape = this.escapeHtml;
         const refreshInterval = this.dashboardConfig.refreshInterval || 5000;
 
@@ -198,37 +445,56 @@ class DashboardServer {
             ? '<tr><td colspan="6" class="empty">No active broadcasts</td></tr>'
             : data.activeJobs.map(job => `
                 <tr>
-                    <td>${escape(job.id)}</td>
+                    <td>${escape(job.id)}${job.dryRun ? ' 🧪' : ''}</td>
                     <td>${escape(job.initiator || 'Unknown')}</td>
                     <td>${formatNumber(job.totalMembers || 0)}</td>
-                    <td>${job.progress || 0}%</td>
+                    <td>${job.progress || 0}% • ${escape(job.status || 'running')}</td>
                     <td>${escape(job.runtime || '0s')}</td>
                     <td>${escape(job.messagePreview || '')}</td>
                 </tr>
             `).join('');
 
+        const keyQuery = apiKey ? `?key=${encodeURIComponent(apiKey)}` : '';
+        const reportLinks = (job) => job.hasReport
+            ? ['csv', 'json'].map(format => `<a href="/api/history/${encodeURIComponent(job.id)}/report.${format}${keyQuery}">${format.toUpperCase()}</a>`).join(' • ')
+            : '-';
+
         const recentJobRows = data.recentJobs.length === 0
-            ? '<tr><td colspan="6" class="empty">No recent broadcasts</td></tr>'
+            ? '<tr><td colspan="8" class="empty">No recent broadcasts</td></tr>'
             : data.recentJobs.map(job => `
                 <tr>
-                    <td>${escape(job.id)}</td>
+                    <td>${escape(job.id)}${job.dryRun ? ' 🧪' : ''}</td>
                     <td>${escape(job.initiator || 'Unknown')}</td>
                     <td>${formatNumber(job.totalMembers || 0)}</td>
                     <td>${formatNumber(job.success || 0)} / ${formatNumber(job.failure || 0)}</td>
+                    <td>${escape(job.failureSummary || '-')}</td>
                     <td>${escape(job.durationFormatted || '0s')}</td>
                     <td>${escape(job.messagePreview || '')}</td>
+                    <td>${reportLinks(job)}</td>
+                </tr>
+            `).join('');
+
+        const scheduledRows = data.scheduledBroadcasts.length === 0
+            ? '<tr><td colspan="5" class="empty">No scheduled broadcasts</td></tr>'
+            : data.scheduledBroadcasts.map(schedule => `
+                <tr>
+                    <td>${escape(schedule.id)}</td>
+                    <td>${escape(schedule.initiator || 'Unknown')}</td>
+                    <td>${escape(schedule.audience || '-')}</td>
+                    <td>${escape(new Date(schedule.runAt).toISOString())} (${escape(schedule.timeZone)})</td>
+                    <td>${escape(schedule.messagePreview || '')}</td>
                 </tr>
             `).join('');
 
         const clientRows = data.clients.length === 0
             ? '<tr><td colspan="7" class="empty">No connected clients</td></tr>'
             : data.clients.map(client => {
-                const statusClass = client.status === 'READY' ? 'status-online' : client.status === 'DISCONNECTED' ? 'status-offline' : 'status-unknown';
+                const statusClass = client.status === 'READY' ? 'status-online' : ['DISCONNECTED', 'QUARANTINED'].includes(client.status) ? 'status-offline' : 'status-unknown';
                 return `
                     <tr>
                         <td>${escape(client.tag)}</td>
                         <td>${escape(client.id)}</td>
-                        <td><span class="status-indicator"><span class="${statusClass}"></span>${escape(client.status)}</span></td>
+                        <td><span class="status-indicator" title="${escape(client.quarantine?.reason || '')}"><span class="${statusClass}"></span>${escape(client.status)}</span></td>
                         <td>${client.ping !== null && client.ping !== undefined ? `${client.ping} ms` : 'N/A'}</td>
                         <td>${formatNumber(client.load || 0)}</td>
                         <td>${formatNumber(client.guilds || 0)}</td>
@@ -810,6 +1076,11 @@ class DashboardServer {
                         <span class="stat-value" id="client-count">${formatNumber(data.clients.length)}</span>
                         <span class="stat-trend">عدد العملاء المتأهبين</span>
                     </article>
+                    <article class="stat-card">
+                        <span class="stat-label">Invalid Requests (10m)</span>
+                        <span class="stat-value" id="invalid-requests">${formatNumber(data.invalidRequests.count)}/${formatNumber(data.invalidRequests.limit)}</span>
+                        <span class="stat-trend" id="invalid-requests-state">${data.invalidRequests.open ? 'Circuit breaker open' : `Pauses at ${formatNumber(data.invalidRequests.tripAt)}`}</span>
+                    </article>
                     <article class="stat-card">
                         <span class="stat-label">Active Broadcasts</span>
                         <span class="stat-value" id="active-job-count">${formatNumber(data.activeJobs.length)}</span>
@@ -911,8 +1182,10 @@ class DashboardServer {
                                             <th>Initiator</th>
                                             <th>Members</th>
                                             <th>Success / Fail</th>
+                                            <th>Failure Reasons</th>
                                             <th>Duration</th>
                                             <th>Preview</th>
+                                            <th>Report</th>
                                         </tr>
                                     </thead>
                                     <tbody id="recent-jobs-body">
@@ -921,6 +1194,25 @@ class DashboardServer {
                                 </table>
                             </div>
                         </div>
+                        <div class="glass-card">
+                            <h3>Scheduled Broadcasts</h3>
+                            <div class="table-wrapper">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>ID</th>
+                                            <th>Initiator</th>
+                                            <th>Audience</th>
+                                            <th>Runs At</th>
+                                            <th>Preview</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody id="scheduled-jobs-body">
+                                        ${scheduledRows}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
                     </div>
                 </div>
             </section>
@@ -1007,6 +1299,8 @@ class DashboardServer {
             setText('success-rate', (data.stats.successRate || 0) + '%');
             setText('client-count', formatNumber(data.clients.length));
             setText('active-job-count', formatNumber(data.activeJobs.length));
+            setText('invalid-requests', formatNumber(data.invalidRequests.count) + '/' + formatNumber(data.invalidRequests.limit));
+            setText('invalid-requests-state', data.invalidRequests.open ? 'Circuit breaker open' : 'Pauses at ' + formatNumber(data.invalidRequests.tripAt));
             setText('bot-uptime', data.stats.uptimeFormatted || '0s');
             setText('success-total', formatNumber(data.stats.totalSuccess || 0));
             setText('failure-total', formatNumber(data.stats.totalFailures || 0));
@@ -1029,7 +1323,7 @@ class DashboardServer {
             }
 
             container.innerHTML = language.available
-                .map(code => `<span class="language-pill">${escapeHtml(code)}</span>`)
+                .map(code => \`<span class="language-pill">\${escapeHtml(code)}</span>\`)
                 .join('');
         };
 
@@ -1052,18 +1346,18 @@ class DashboardServer {
             }
 
             const rows = clients.map(client => {
-                const statusClass = client.status === 'READY' ? 'status-online' : client.status === 'DISCONNECTED' ? 'status-offline' : 'status-unknown';
-                return `
+                const statusClass = client.status === 'READY' ? 'status-online' : ['DISCONNECTED', 'QUARANTINED'].includes(client.status) ? 'status-offline' : 'status-unknown';
+                return \`
                     <tr>
-                        <td>${escapeHtml(client.tag)}</td>
-                        <td>${escapeHtml(client.id)}</td>
-                        <td><span class="status-indicator"><span class="${statusClass}"></span>${escapeHtml(client.status)}</span></td>
-                        <td>${client.ping !== null && client.ping !== undefined ? escapeHtml(client.ping + ' ms') : 'N/A'}</td>
-                        <td>${formatNumber(client.load || 0)}</td>
-                        <td>${formatNumber(client.guilds || 0)}</td>
-                        <td>${client.readyAt ? escapeHtml(client.readyAt) : 'N/A'}</td>
+                        <td>\${escapeHtml(client.tag)}</td>
+                        <td>\${escapeHtml(client.id)}</td>
+                        <td><span class="status-indicator" title="\${escapeHtml(client.quarantine?.reason || '')}"><span class="\${statusClass}"></span>\${escapeHtml(client.status)}</span></td>
+                        <td>\${client.ping !== null && client.ping !== undefined ? escapeHtml(client.ping + ' ms') : 'N/A'}</td>
+                        <td>\${formatNumber(client.load || 0)}</td>
+                        <td>\${formatNumber(client.guilds || 0)}</td>
+                        <td>\${client.readyAt ? escapeHtml(client.readyAt) : 'N/A'}</td>
                     </tr>
-                `;
+                \`;
             }).join('');
 
             renderRows('clients-body', rows);
@@ -1082,18 +1376,18 @@ class DashboardServer {
 
             container.innerHTML = load.map(entry => {
                 const client = clients.find(client => client.id === entry.clientId);
-                const label = client ? `${escapeHtml(client.tag)} • ${escapeHtml(client.id)}` : escapeHtml(entry.clientId);
+                const label = client ? \`\${escapeHtml(client.tag)} • \${escapeHtml(client.id)}\` : escapeHtml(entry.clientId);
                 const width = Math.min(100, Math.round(((entry.load || 0) / maxLoad) * 100));
 
-                return `
+                return \`
                     <div class="load-item">
                         <div class="load-header">
-                            <span>${label}</span>
-                            <span>${formatNumber(entry.load || 0)}</span>
+                            <span>\${label}</span>
+                            <span>\${formatNumber(entry.load || 0)}</span>
                         </div>
-                        <div class="load-bar"><div class="load-bar-fill" style="width: ${width}%"></div></div>
+                        <div class="load-bar"><div class="load-bar-fill" style="width: \${width}%"></div></div>
                     </div>
-                `;
+                \`;
             }).join('');
         };
 
@@ -1103,40 +1397,70 @@ class DashboardServer {
                 return;
             }
 
-            const rows = jobs.map(job => `
+            const rows = jobs.map(job => \`
                 <tr>
-                    <td>${escapeHtml(job.id)}</td>
-                    <td>${escapeHtml(job.initiator || 'Unknown')}</td>
-                    <td>${formatNumber(job.totalMembers || 0)}</td>
-                    <td>${(job.progress || 0)}%</td>
-                    <td>${escapeHtml(job.runtime || '0s')}</td>
-                    <td>${escapeHtml(job.messagePreview || '')}</td>
+                    <td>\${escapeHtml(job.id)}\${job.dryRun ? ' 🧪' : ''}</td>
+                    <td>\${escapeHtml(job.initiator || 'Unknown')}</td>
+                    <td>\${formatNumber(job.totalMembers || 0)}</td>
+                    <td>\${(job.progress || 0)}% • \${escapeHtml(job.status || 'running')}</td>
+                    <td>\${escapeHtml(job.runtime || '0s')}</td>
+                    <td>\${escapeHtml(job.messagePreview || '')}</td>
                 </tr>
-            `).join('');
+            \`).join('');
 
             renderRows('active-jobs-body', rows);
         };
 
+        const renderReportLinks = (job) => {
+            if (!job.hasReport) return '-';
+
+            const query = API_KEY ? ('?key=' + encodeURIComponent(API_KEY)) : '';
+            return ['csv', 'json'].map(format =>
+                '<a href="/api/history/' + encodeURIComponent(job.id) + '/report.' + format + query + '">' + format.toUpperCase() + '</a>'
+            ).join(' • ');
+        };
+
         const renderRecentJobs = (jobs) => {
             if (!Array.isArray(jobs) || jobs.length === 0) {
-                renderRows('recent-jobs-body', '<tr><td colspan="6" class="empty">No recent broadcasts</td></tr>');
+                renderRows('recent-jobs-body', '<tr><td colspan="8" class="empty">No recent broadcasts</td></tr>');
                 return;
             }
 
-            const rows = jobs.map(job => `
+            const rows = jobs.map(job => \`
                 <tr>
-                    <td>${escapeHtml(job.id)}</td>
-                    <td>${escapeHtml(job.initiator || 'Unknown')}</td>
-                    <td>${formatNumber(job.totalMembers || 0)}</td>
-                    <td>${formatNumber(job.success || 0)} / ${formatNumber(job.failure || 0)}</td>
-                    <td>${escapeHtml(job.durationFormatted || '0s')}</td>
-                    <td>${escapeHtml(job.messagePreview || '')}</td>
+                    <td>\${escapeHtml(job.id)}\${job.dryRun ? ' 🧪' : ''}</td>
+                    <td>\${escapeHtml(job.initiator || 'Unknown')}</td>
+                    <td>\${formatNumber(job.totalMembers || 0)}</td>
+                    <td>\${formatNumber(job.success || 0)} / \${formatNumber(job.failure || 0)}</td>
+                    <td>\${escapeHtml(job.failureSummary || '-')}</td>
+                    <td>\${escapeHtml(job.durationFormatted || '0s')}</td>
+                    <td>\${escapeHtml(job.messagePreview || '')}</td>
+                    <td>\${renderReportLinks(job)}</td>
                 </tr>
-            `).join('');
+            \`).join('');
 
             renderRows('recent-jobs-body', rows);
         };
 
+        const renderScheduledJobs = (schedules) => {
+            if (!Array.isArray(schedules) || schedules.length === 0) {
+                renderRows('scheduled-jobs-body', '<tr><td colspan="5" class="empty">No scheduled broadcasts</td></tr>');
+                return;
+            }
+
+            const rows = schedules.map(schedule =>
+                '<tr>' +
+                    '<td>' + escapeHtml(schedule.id) + '</td>' +
+                    '<td>' + escapeHtml(schedule.initiator || 'Unknown') + '</td>' +
+                    '<td>' + escapeHtml(schedule.audience || '-') + '</td>' +
+                    '<td>' + escapeHtml(new Date(schedule.runAt).toLocaleString()) + ' (' + escapeHtml(schedule.timeZone) + ')</td>' +
+                    '<td>' + escapeHtml(schedule.messagePreview || '') + '</td>' +
+                '</tr>'
+            ).join('');
+
+            renderRows('scheduled-jobs-body', rows);
+        };
+
         const updateSystem = (system) => {
             setText('node-version', system.nodeVersion);
             setText('hostname', system.hostname);
@@ -1146,7 +1470,11 @@ class DashboardServer {
 
         const refreshDashboard = async () => {
             try {
-                const query = API_KEY ? ('?key=' + encodeURIComponent(API_KEY)) : '';
+                const params = new URLSearchParams();
+                if (API_KEY) params.set('key', API_KEY);
+                const guild = new URLSearchParams(window.location.search).get('guild');
+                if (guild) params.set('guild', guild);
+                const query = params.toString() ? ('?' + params.toString()) : '';
                 const response = await fetch('/api/status' + query);
                 if (!response.ok) {
                     throw new Error('Failed to fetch dashboard status');
@@ -1162,6 +1490,7 @@ class DashboardServer {
                 renderClientLoad(payload.clients, payload.clientLoad);
                 renderActiveJobs(payload.activeJobs);
                 renderRecentJobs(payload.recentJobs);
+                renderScheduledJobs(payload.scheduledBroadcasts);
                 updateSystem(payload.system);
                 updateLastUpdated();
             } catch (error) {
@@ -0,0 +1,75 @@
+const path = require('path');
+
+const { createLogger } = require('../utils/helpers');
+const {
+    readJson,
+    writeJson,
+    appendJsonLine,
+    readJsonLines,
+    listDataFiles,
+    removeDataFile
+} = require('../utils/storage');
+
+const logger = createLogger('BroadcastCheckpoints');
+const CHECKPOINT_DIR = 'checkpoints';
+
+const metaFile = (jobId) => path.join(CHECKPOINT_DIR, `${jobId}.json`);
+const progressFile = (jobId) => path.join(CHECKPOINT_DIR, `${jobId}.jsonl`);
+
+class BroadcastCheckpoints {
+    create(checkpoint) {
+        try {
+            writeJson(metaFile(checkpoint.jobId), {
+                ...checkpoint,
+                createdAt: Date.now()
+            });
+        } catch (error) {
+            logger.error(`Failed to create checkpoint for job ${checkpoint.jobId}: ${error.message}`);
+        }
+    }
+
+    markProcessed(jobId, memberId, status, details = {}) {
+        try {
+            appendJsonLine(progressFile(jobId), { id: memberId, status, ...details, at: Date.now() });
+        } catch (error) {
+            logger.error(`Failed to checkpoint member ${memberId} for job ${jobId}: ${error.message}`);
+        }
+    }
+
+    load(jobId) {
+        const meta = readJson(metaFile(jobId), null);
+        if (!meta) return null;
+
+        const processed = new Map();
+        readJsonLines(progressFile(jobId)).forEach(entry => processed.set(entry.id, entry));
+
+        return {
+            ...meta,
+            processed
+        };
+    }
+
+    listPending() {
+        return listDataFiles(CHECKPOINT_DIR, '.json')
+            .map(file => path.basename(file, '.json'))
+            .map(jobId => this.load(jobId))
+            .filter(Boolean)
+            .map(({ processed, memberIds, ...meta }) => ({
+                ...meta,
+                totalMembers: memberIds.length,
+                processedCount: processed.size,
+                remainingCount: memberIds.filter(id => !processed.has(id)).length
+            }));
+    }
+
+    remove(jobId) {
+        try {
+            removeDataFile(metaFile(jobId));
+            removeDataFile(progressFile(jobId));
+        } catch (error) {
+            logger.error(`Failed to remove checkpoint for job ${jobId}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new BroadcastCheckpoints();
@@ -0,0 +1,116 @@
+const { createLogger } = require('../utils/helpers');
+const { appendJsonLine, readJsonLines } = require('../utils/storage');
+
+const logger = createLogger('BroadcastHistory');
+const HISTORY_FILE = 'broadcasts.jsonl';
+
+class BroadcastHistory {
+    constructor() {
+        this.jobs = [];
+        this.totals = this.createTotals();
+        this.load();
+    }
+
+    load() {
+        try {
+            this.jobs = readJsonLines(HISTORY_FILE);
+            this.jobs.forEach(job => this.applyToTotals(job));
+            logger.info(`Loaded ${this.jobs.length} broadcast records from history`);
+        } catch (error) {
+            logger.error(`Failed to load broadcast history: ${error.message}`);
+            this.jobs = [];
+        }
+    }
+
+    createTotals() {
+        return {
+            totalBroadcasts: 0,
+            totalMembersTargeted: 0,
+            totalSuccess: 0,
+            totalFailures: 0,
+            lastBroadcastAt: null,
+            lastBroadcastMessage: null
+        };
+    }
+
+    applyToTotals(job, totals = this.totals) {
+        if (job.dryRun) return;
+
+        totals.totalBroadcasts += 1;
+        totals.totalMembersTargeted += job.totalMembers || 0;
+        totals.totalSuccess += job.success || 0;
+        totals.totalFailures += job.failure || 0;
+
+        if (!totals.lastBroadcastAt || (job.finishedAt || 0) >= totals.lastBroadcastAt) {
+            totals.lastBroadcastAt = job.finishedAt || null;
+            totals.lastBroadcastMessage = job.message ? job.message.slice(0, 200) : job.messagePreview || null;
+        }
+    }
+
+    record(job) {
+        try {
+            appendJsonLine(HISTORY_FILE, job);
+        } catch (error) {
+            logger.error(`Failed to persist broadcast job ${job.id}: ${error.message}`);
+        }
+
+        this.jobs.push(job);
+        this.applyToTotals(job);
+        return job;
+    }
+
+    getJob(jobId) {
+        return this.jobs.find(job => job.id === jobId) || null;
+    }
+
+    query({ limit = 10, offset = 0, initiator, status, since, until, guildId } = {}) {
+        let results = [...this.jobs].reverse();
+
+        if (guildId) {
+            results = results.filter(job => job.guildId === guildId);
+        }
+
+        if (initiator) {
+            const needle = String(initiator).toLowerCase();
+            results = results.filter(job =>
+                job.initiatorId === initiator ||
+                (job.initiator || '').toLowerCase().includes(needle)
+            );
+        }
+
+        if (status) {
+            results = results.filter(job => job.status === status);
+        }
+
+        if (since) {
+            results = results.filter(job => (job.finishedAt || 0) >= since);
+        }
+
+        if (until) {
+            results = results.filter(job => (job.finishedAt || 0) <= until);
+        }
+
+        return {
+            total: results.length,
+            jobs: results.slice(offset, offset + limit)
+        };
+    }
+
+    getRecent(limit = 10, guildId = null) {
+        return this.query({ limit, guildId }).jobs;
+    }
+
+    getTotals(guildId = null) {
+        if (!guildId) {
+            return { ...this.totals };
+        }
+
+        const totals = this.createTotals();
+        this.jobs
+            .filter(job => job.guildId === guildId)
+            .forEach(job => this.applyToTotals(job, totals));
+        return totals;
+    }
+}
+
+module.exports = new BroadcastHistory();
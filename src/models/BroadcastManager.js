@@ -1,24 +1,42 @@
+const zlib = require('zlib');
 const config = require('../../config');
-const { MessageEmbed } = require('discord.js');
+const { MessageEmbed, MessageActionRow, MessageButton, MessageAttachment } = require('discord.js');
+const broadcastHistory = require('./BroadcastHistory');
+const broadcastCheckpoints = require('./BroadcastCheckpoints');
+const broadcastReports = require('./BroadcastReports');
+const languageManager = require('./LanguageManager');
+const clientPacer = require('./ClientPacer');
+const clientHealth = require('./ClientHealth');
+const circuitBreaker = require('./CircuitBreaker');
+const frequencyCap = require('./FrequencyCap');
+const guildSettings = require('./GuildSettings');
 const { sleep, createLogger, generateId, formatTime } = require('../utils/helpers');
+const { FAILURE_LABELS, classifyDeliveryError } = require('../utils/deliveryErrors');
+const { buildBroadcastEmbed, renderEmbedSpec, validateEmbedSpec } = require('../utils/embeds');
+const { getSignature, renderTemplate, renderMessage } = require('../utils/templates');
+const { loadAttachmentFiles, removeAttachments } = require('../utils/attachments');
 
 const logger = createLogger('BroadcastManager');
+const MAX_MESSAGE_LENGTH = 2000;
+const DRY_RUN_UI_INTERVAL = 1000;
+const MAX_REPORT_UPLOAD_SIZE = 8 * 1024 * 1024;
 
 class BroadcastManager {
     constructor() {
         this.clients = [];
         this.activeJobs = new Map();
         this.clientLoadMap = new Map();
-        this.completedJobs = [];
-        this.stats = {
-            startedAt: Date.now(),
-            totalBroadcasts: 0,
-            totalMembersTargeted: 0,
-            totalSuccess: 0,
-            totalFailures: 0,
-            lastBroadcastAt: null,
-            lastBroadcastMessage: null
-        };
+        this.jobControls = new Map();
+        this.resumingJobs = new Set();
+        this.startedAt = Date.now();
+
+        clientHealth.configure({
+            onQuarantine: (client, quarantine) => this.alertQuarantine(client, quarantine)
+        });
+        circuitBreaker.configure({
+            onTrip: () => this.pauseForCircuitBreaker(),
+            onReset: () => this.resumeAfterCircuitBreaker()
+        });
     }
 
     async initialize(clients) {
@@ -37,19 +55,8 @@ class BroadcastManager {
                 
                 this.clientLoadMap.set(client.user.id, 0);
                 
-                if (config.server.guildId) {
-                    try {
-                        await client.guilds.fetch(config.server.guildId);
-                        validClients.push(client);
-                        logger.info(`Client ${client.user.tag} validated with access to guild ID: ${config.server.guildId}`);
-                    } catch (guildError) {
-                        logger.warn(`Client ${client.user.tag} does not have access to guild ${config.server.guildId}: ${guildError.message}`);
-                        validClients.push(client);
-                    }
-                } else {
-                    validClients.push(client);
-                    logger.info(`Client ${client.user.tag} initialized (no guild verification required)`);
-                }
+                await this.verifyGuildAccess(client);
+                validClients.push(client);
             } catch (error) {
                 logger.error(`Error initializing client: ${error.message}`);
             }
@@ -64,11 +71,71 @@ class BroadcastManager {
         }
         
         this.clients = validClients;
+        this.clients.forEach(client => {
+            clientPacer.attach(client, this.clients.length);
+            clientHealth.attach(client);
+            circuitBreaker.attach(client);
+        });
         
         logger.info(`BroadcastManager initialized with ${this.clients.length} valid clients`);
         return this;
     }
 
+    async verifyGuildAccess(client) {
+        const guilds = guildSettings.listConfigured();
+        if (guilds.length === 0) {
+            logger.info(`Client ${client.user.tag} initialized (no guild verification required)`);
+            return true;
+        }
+
+        let hasAccess = true;
+        for (const { guildId } of guilds) {
+            try {
+                await client.guilds.fetch(guildId);
+                logger.info(`Client ${client.user.tag} validated with access to guild ID: ${guildId}`);
+            } catch (guildError) {
+                logger.warn(`Client ${client.user.tag} does not have access to guild ${guildId}: ${guildError.message}`);
+                hasAccess = false;
+            }
+        }
+        return hasAccess;
+    }
+
+    getClient(clientId) {
+        return this.clients.find(client => client.user?.id === clientId) || null;
+    }
+
+    async addClient(client, position = this.clients.length) {
+        if (!client?.user || this.getClient(client.user.id)) {
+            return false;
+        }
+
+        await this.verifyGuildAccess(client);
+
+        this.clients.splice(position, 0, client);
+        this.clientLoadMap.set(client.user.id, 0);
+        clientPacer.attach(client, this.clients.length);
+        clientHealth.attach(client);
+        circuitBreaker.attach(client);
+
+        logger.info(`Client ${client.user.tag} added, ${this.clients.length} clients available for new broadcasts`);
+        return true;
+    }
+
+    removeClient(client) {
+        const position = this.clients.indexOf(client);
+        if (position === -1) return -1;
+
+        this.clients.splice(position, 1);
+        this.clientLoadMap.delete(client.user.id);
+        clientPacer.detach(client);
+        clientHealth.detach(client);
+        circuitBreaker.detach(client);
+
+        logger.info(`Client ${client.user.tag} removed, ${this.clients.length} clients left`);
+        return position;
+    }
+
     getLeastBusyClient() {
         if (this.clients.length === 0) {
             throw new Error('No clients available');
@@ -94,18 +161,51 @@ class BroadcastManager {
     }
 
     async startBroadcast(options) {
-        const { interaction, members, message, lang, languages } = options;
+        const { interaction, members, message, embed = null, attachments = [], audience, lang, languages, resume, dryRun = false, ownsAttachments = false } = options;
+        const content = { message, embed, files: loadAttachmentFiles(attachments), dryRun };
         
-        const totalMembers = members.size;
+        const totalMembers = resume ? resume.memberIds.length : members.size;
         const results = {
+            guildId: resume?.guildId || interaction?.guild?.id || config.server.guildId,
             totalMembers,
             successCount: 0,
             failureCount: 0,
             failedMembers: [],
+            failures: [],
+            deliveries: [],
+            unreachedMembers: [],
+            retryQueue: [],
+            recoveredCount: 0,
+            dryRun,
+            // Stored attachments the job deletes together with its checkpoint;
+            // dry runs and recurring broadcasts leave them to their owner
+            ownedAttachments: (resume ? resume.ownsAttachments : ownsAttachments && !dryRun) ? attachments : [],
             startTime: Date.now(),
             lastUIUpdate: Date.now(),
             processedCount: 0
         };
+        content.guildId = results.guildId;
+
+        if (resume) {
+            resume.processed.forEach((entry, memberId) => {
+                results.processedCount++;
+                results.deliveries.push({ ...entry, id: memberId });
+                if (entry.status === 'sent') {
+                    results.successCount++;
+                } else {
+                    results.failureCount++;
+                    results.failedMembers.push(`<@${memberId}>`);
+                    results.failures.push({
+                        id: memberId,
+                        reason: entry.reason || 'other',
+                        transient: Boolean(entry.transient),
+                        attempts: entry.attempts || 1,
+                        clientId: entry.clientId || null,
+                        clientTag: entry.clientTag || null
+                    });
+                }
+            });
+        }
 
         const totalClients = this.clients.length;
 
@@ -121,66 +221,115 @@ class BroadcastManager {
             return null;
         }
 
-        results.jobId = options.jobId || generateId();
+        results.jobId = resume?.jobId || options.jobId || generateId();
         const initiatorTag = interaction?.user?.tag || interaction?.member?.user?.tag || 'Unknown';
-        this.createJobRecord({
+        const jobRecord = this.createJobRecord({
             jobId: results.jobId,
             totalMembers,
-            initiator: initiatorTag,
+            initiator: resume?.initiator || initiatorTag,
+            initiatorId: resume ? resume.initiatorId : interaction?.user?.id || null,
+            audience,
             message,
-            clients: validClients
+            embed,
+            attachments,
+            clients: validClients,
+            guildId: results.guildId,
+            startedAt: resume?.startedAt,
+            dryRun
         });
+        this.updateActiveJob(results.jobId, {
+            processed: results.processedCount,
+            success: results.successCount,
+            failure: results.failureCount
+        });
+
+        if (resume) {
+            logger.info(`Resuming broadcast job ${results.jobId}: ${results.processedCount}/${totalMembers} members already processed`);
+        } else if (!dryRun) {
+            broadcastCheckpoints.create({
+                jobId: results.jobId,
+                guildId: results.guildId,
+                initiator: jobRecord.initiator,
+                initiatorId: jobRecord.initiatorId,
+                audience: audience || null,
+                message,
+                embed,
+                attachments,
+                ownsAttachments: results.ownedAttachments.length > 0,
+                lang,
+                startedAt: jobRecord.startedAt,
+                memberIds: [...members.keys()]
+            });
+        }
+        this.jobControls.set(results.jobId, {
+            state: 'running',
+            waiters: [],
+            context: { interaction, results, lang, languages }
+        });
+        if (circuitBreaker.isOpen()) {
+            logger.warn(`Circuit breaker is open, broadcast job ${results.jobId} starts paused`);
+            this.pauseJob(results.jobId, { byBreaker: true });
+        }
         
-        const requestsPerSecond = config.broadcast.requestsPerSecond * validClientCount;
-        const estimatedTimePerMember = (config.broadcast.cooldownTime + config.broadcast.memberCooldown) / validClientCount;
-        const totalTime = estimatedTimePerMember * totalMembers;
+        const requestsPerSecond = clientPacer.getTotalRate(validClients) || config.broadcast.requestsPerSecond * validClientCount;
+        const estimatedTimePerMember = 1000 / requestsPerSecond + config.broadcast.memberCooldown / validClientCount;
+        const totalTime = estimatedTimePerMember * members.size;
         const minutes = Math.floor(totalTime / 60000);
         const seconds = Math.floor((totalTime % 60000) / 1000);
 
-        const membersArray = [...members.values()];
-        
-        const memberChunks = this.distributeMembers(membersArray, validClientCount);
-        
-        memberChunks.forEach((chunk, index) => {
-            logger.info(`Chunk ${index + 1}: ${chunk.length} members assigned to client ${validClients[index]?.user?.tag || 'Unknown'}`);
-        });
+        const queue = [...members.values()];
+        results.estimatedTime = totalTime;
         
         const progressEmbed = new MessageEmbed()
             .setColor(config.colors.primary)
-            .setTitle(languages[lang].embeds.broadcast.processing)
+            .setTitle(this.markDryRun(languages[lang].embeds.broadcast.processing, results, languages[lang]))
             .setDescription(languages[lang].messages.startingBroadcast
                 .replace('{0}', totalMembers))
             .addField('📊 Progress', '▪️ Initializing... 0%')
             .addField('🎯 Target Members', `${totalMembers}`, true)
             .addField('⏱️ Estimated Time', `${minutes}m ${seconds}s`, true)
-            .addField('⚡ Speed', `~${requestsPerSecond} members/sec`, true)
+            .addField('⚡ Speed', `~${requestsPerSecond.toFixed(1)} members/sec`, true)
             .addField('🤖 Clients', `${validClientCount} bots distributing work`, true)
             .setFooter(`Broadcast System by Wick Studio • ${validClients.map(c => c.user.tag).join(' | ')}`)
             .setTimestamp();
 
-        await interaction.editReply({ embeds: [progressEmbed] });
+        await interaction.editReply({
+            embeds: [progressEmbed],
+            components: [this.createJobControlButtons(results.jobId, 'running', lang, languages)]
+        });
         
-        logger.info(`Starting broadcast to ${totalMembers} members using ${validClientCount} clients`);
+        logger.info(`Starting ${dryRun ? 'dry run' : 'broadcast'} to ${totalMembers} members using ${validClientCount} clients`);
         
-        const promises = memberChunks.map((chunk, index) => {
-            const clientToUse = validClients[index % validClientCount];
-            
-            logger.info(`Client ${clientToUse.user.tag} (${index % validClientCount + 1}/${validClientCount}) assigned ${chunk.length} members`);
-            
-            return this.processMemberChunk({
-                client: clientToUse,
-                members: chunk,
-                message,
-                results,
-                interaction,
-                lang,
-                languages
-            });
+        await Promise.all(validClients.map(client => this.processQueue({
+            client,
+            queue,
+            content,
+            results,
+            interaction,
+            lang,
+            languages
+        })));
+
+        if (queue.length > 0) {
+            logger.error(`No healthy clients left, moving ${queue.length} pending members to the retry queue`);
+            queue.splice(0).forEach(member => this.deferMember(results, member, null, {
+                reason: 'network',
+                transient: true,
+                retryAfter: null,
+                detail: 'No healthy client available'
+            }));
+        }
+
+        await this.processRetryQueue({
+            clients: validClients,
+            content,
+            results,
+            interaction,
+            lang,
+            languages
         });
         
-        await Promise.all(promises);
-        
-        logger.info(`Broadcast completed. Success: ${results.successCount}, Failed: ${results.failureCount}`);
+        logger.info(`Broadcast completed. Success: ${results.successCount}, Failed: ${results.failureCount}, Not reached: ${results.unreachedMembers.length}`);
 
         return this.finalizeBroadcast({
             interaction,
@@ -191,146 +340,485 @@ class BroadcastManager {
         });
     }
     
-    distributeMembers(members, clientCount) {
-        if (clientCount <= 0) {
-            logger.error('No clients available for member distribution');
-            return [members];
+    isClientHealthy(client) {
+        return Boolean(client?.user) && client.isReady?.() !== false && !clientHealth.isQuarantined(client);
+    }
+
+    trackHealth(client, content, failure = null) {
+        if (content.dryRun) return;
+
+        if (failure) {
+            clientHealth.recordFailure(client, failure);
+        } else {
+            clientHealth.recordSuccess(client);
         }
-        
-        const chunks = Array(clientCount).fill().map(() => []);
-        
-        members.forEach((member, index) => {
-            const targetChunkIndex = index % clientCount;
-            chunks[targetChunkIndex].push(member);
-        });
-        
-        let nonEmptyChunks = chunks.filter(chunk => chunk.length > 0);
-        
-        if (nonEmptyChunks.length < chunks.length) {
-            logger.warn(`Only ${nonEmptyChunks.length} of ${chunks.length} clients will be used due to member distribution`);
+    }
+
+    trackPacing(client, content, failure = null) {
+        if (content.dryRun) return;
+
+        if (!failure) {
+            clientPacer.recordSuccess(client);
+        } else if (failure.reason === 'rateLimited') {
+            // The pacer already counted this 429 from the API response
+            clientPacer.holdUntil(client, Date.now() + (failure.retryAfter || 0));
         }
-        
-        logger.info(`Distributed ${members.length} members across ${chunks.length} clients: ${chunks.map(c => c.length).join(', ')}`);
-        
-        return chunks;
     }
-    
-    async processMemberChunk(options) {
+
+    async alertQuarantine(client, quarantine) {
+        const reporter = this.clients.find(candidate => candidate !== client && this.isClientHealthy(candidate)) || client;
+        if (!reporter?.isReady?.()) return;
+
+        for (const settings of guildSettings.list().filter(entry => entry.reportChannelId)) {
+            await languageManager.run(settings.language, async () => {
+                const reportChannel = await reporter.channels.fetch(settings.reportChannelId);
+                await reportChannel?.send({
+                    embeds: [
+                        new MessageEmbed()
+                            .setColor(config.colors.error)
+                            .setTitle(languageManager.translate('embeds.quarantine.title'))
+                            .setDescription(languageManager.translate('embeds.quarantine.description', client.user.tag, quarantine.reason))
+                            .addField(languageManager.translate('embeds.quarantine.releasedAt'), `<t:${Math.floor(quarantine.until / 1000)}:R>`, true)
+                            .addField(languageManager.translate('embeds.quarantine.remaining'), `${this.clients.filter(candidate => this.isClientHealthy(candidate)).length}/${this.clients.length}`, true)
+                            .setTimestamp()
+                    ]
+                });
+            }).catch(error => logger.error(`Failed to post quarantine alert to guild ${settings.guildId}: ${error.message}`));
+        }
+    }
+
+    deferMember(results, member, client, failure) {
+        if (failure.transient && this.getMaxRetries() > 0) {
+            results.retryQueue.push({ member, attempts: 1, failure });
+        } else {
+            this.recordFailure(results, member, client, failure, 1);
+        }
+    }
+
+    async processQueue(options) {
         const {
             client,
-            members,
-            message,
+            queue,
+            content,
             results,
             interaction,
             lang,
             languages
         } = options;
         
-        if (!client || !client.user) {
-            logger.error(`Invalid client provided for processing chunk of ${members.length} members`);
-            
-            for (const member of members) {
-                results.failureCount++;
-                results.failedMembers.push(`<@${member.id}>`);
-                results.processedCount++;
-            }
-            
-            return;
-        }
-        
-        logger.info(`Client ${client.user.tag} (${client.user.id}) processing ${members.length} members`);
+        logger.info(`Client ${client.user.tag} (${client.user.id}) joined the work queue (${queue.length} members pending)`);
         
         try {
-            await client.guilds.fetch(config.server.guildId);
+            if (results.guildId) {
+                await client.guilds.fetch(results.guildId);
+            }
         } catch (error) {
             logger.error(`Client ${client.user.tag} does not have access to the server: ${error.message}`);
         }
         
-        for (const member of members) {
+        let processed = 0;
+        while (queue.length > 0) {
+            if (!this.isClientHealthy(client)) {
+                logger.warn(`Client ${client.user.tag} is disconnected or quarantined, leaving ${queue.length} pending members to the remaining clients`);
+                return;
+            }
+
+            const member = queue.shift();
+            const state = await this.waitWhilePaused(results.jobId);
+            if (state === 'cancelled') {
+                this.recordUnreached(results, member);
+                continue;
+            }
+
+            processed++;
+
             try {
                 this.incrementLoad(client);
-                
-                const messageWithMention = `${message}\n\n<@${member.id}>`;
-                
-                let user = null;
-                try {
-                    user = client.users.cache.get(member.id);
-                    
-                    if (!user) {
-                        user = await client.users.fetch(member.id, { force: true }).catch(e => {
-                            logger.warn(`Client ${client.user.tag} could not fetch user ${member.id}: ${e.message}`);
-                            return null;
-                        });
-                    }
-                } catch (fetchError) {
-                    logger.warn(`Error fetching user ${member.id}: ${fetchError.message}`);
-                }
-                
-                if (!user && member.user) {
-                    user = member.user;
-                }
-                
-                if (!user) {
-                    throw new Error(`Could not fetch user with ID ${member.id}`);
-                }
-                
-                await user.send(messageWithMention);
-                results.successCount++;
-                
-                results.processedCount++;
-                this.updateActiveJob(results.jobId, {
-                    processed: results.processedCount,
-                    success: results.successCount,
-                    failure: results.failureCount
-                });
-                const progress = Math.floor((results.processedCount / results.totalMembers) * 100);
-                const now = Date.now();
-
-                if (progress % 5 === 0 || now - results.lastUIUpdate > 3000 || results.processedCount === 1) {
-                    results.lastUIUpdate = now;
-                    await this.updateProgressUI({
-                        interaction,
-                        results,
-                        progress,
-                        lang,
-                        languages
-                    });
-                }
+
+                await this.sendToMember(client, member, content);
+                this.trackPacing(client, content);
+                this.trackHealth(client, content);
+                this.recordSuccess(results, member, client, 1);
+                await this.refreshProgress({ interaction, results, lang, languages });
             } catch (error) {
-                results.failureCount++;
-                results.failedMembers.push(`<@${member.id}>`);
-
-                let errorReason = "Unknown error occurred";
-
-                if (error.code === 50007) {
-                    errorReason = "DMs are closed";
-                } else if (error.code === 50013) {
-                    errorReason = "Missing permissions";
-                } else if (error.code === 10003) {
-                    errorReason = "Unknown user";
-                } else if (error.message) {
-                    errorReason = error.message.substring(0, 100);
+                const failure = classifyDeliveryError(error);
+                logger.error(`Client ${client.user.tag} failed to send message to ${member.user?.tag || member.id}: ${failure.detail}`);
+                this.trackPacing(client, content, failure);
+                this.trackHealth(client, content, failure);
+
+                if (failure.transient && !this.isClientHealthy(client)) {
+                    logger.warn(`Re-queuing ${member.user?.tag || member.id} after client ${client.user.tag} became unavailable`);
+                    queue.push(member);
+                } else {
+                    this.deferMember(results, member, client, failure);
                 }
-                
-                logger.error(`Client ${client.user.tag} failed to send message to ${member.user?.tag || member.id}: ${errorReason}`);
-                results.processedCount++;
-                this.updateActiveJob(results.jobId, {
-                    processed: results.processedCount,
-                    success: results.successCount,
-                    failure: results.failureCount
-                });
             } finally {
                 this.decrementLoad(client);
 
-                await sleep(config.broadcast.cooldownTime / this.clients.length);
+                if (!content.dryRun) {
+                    await clientPacer.wait(client);
+                }
             }
         }
         
-        logger.info(`Client ${client.user.tag} completed processing ${members.length} members`);
+        logger.info(`Client ${client.user.tag} finished the work queue after processing ${processed} members`);
+    }
+
+    async sendToMember(client, member, content) {
+        if (content.dryRun) {
+            this.simulateSend(member, content);
+            return;
+        }
+
+        let user = null;
+        try {
+            user = client.users.cache.get(member.id);
+            
+            if (!user) {
+                user = await client.users.fetch(member.id, { force: true }).catch(e => {
+                    logger.warn(`Client ${client.user.tag} could not fetch user ${member.id}: ${e.message}`);
+                    return null;
+                });
+            }
+        } catch (fetchError) {
+            logger.warn(`Error fetching user ${member.id}: ${fetchError.message}`);
+        }
+        
+        if (!user && member.user) {
+            user = member.user;
+        }
+        
+        if (!user) {
+            const error = new Error(`Could not fetch user with ID ${member.id}`);
+            error.code = 10013;
+            throw error;
+        }
+        
+        await user.send(this.createDirectMessage(member, content));
+    }
+
+    createDirectMessage(member, content) {
+        const { message, embed, files } = content;
+
+        return {
+            content: embed ? renderTemplate(getSignature(), member) || undefined : renderMessage(message, member),
+            embeds: embed ? [buildBroadcastEmbed(renderEmbedSpec(embed, member))] : [],
+            files,
+            components: [this.createUnsubscribeRow(content.guildId)]
+        };
+    }
+
+    simulateSend(member, content) {
+        if (!member.user) {
+            const error = new Error(`Could not resolve user with ID ${member.id}`);
+            error.code = 10013;
+            throw error;
+        }
+
+        const payload = this.createDirectMessage(member, content);
+        if ((payload.content || '').length > MAX_MESSAGE_LENGTH) {
+            throw new Error(`Rendered message is longer than ${MAX_MESSAGE_LENGTH} characters`);
+        }
+
+        if (content.embed) {
+            const errors = validateEmbedSpec(renderEmbedSpec(content.embed, member));
+            if (errors.length > 0) {
+                throw new Error(`Rendered embed is invalid: ${errors.join('; ')}`);
+            }
+        }
+    }
+
+    markDryRun(title, results, language) {
+        return results.dryRun ? `${language.embeds.broadcast.dryRun} • ${title}` : title;
+    }
+
+    createUnsubscribeRow(guildId) {
+        return new MessageActionRow()
+            .addComponents(
+                new MessageButton()
+                    .setCustomId(`optout_unsubscribe:${guildId}`)
+                    .setLabel(languageManager.translate('buttons.unsubscribe'))
+                    .setEmoji('🔕')
+                    .setStyle('SECONDARY')
+            );
+    }
+
+    createDeliveryRecord(member, client, attempts) {
+        return {
+            tag: member.user?.tag || null,
+            attempts,
+            clientId: client?.user?.id || null,
+            clientTag: client?.user?.tag || null
+        };
+    }
+
+    recordSuccess(results, member, client, attempts) {
+        results.successCount++;
+        results.processedCount++;
+
+        const record = this.createDeliveryRecord(member, client, attempts);
+        results.deliveries.push({ id: member.id, status: results.dryRun ? 'simulated' : 'sent', ...record, at: Date.now() });
+        if (!results.dryRun) {
+            broadcastCheckpoints.markProcessed(results.jobId, member.id, 'sent', record);
+            frequencyCap.record(member.id, results.guildId);
+        }
+
+        this.updateActiveJob(results.jobId, {
+            processed: results.processedCount,
+            success: results.successCount,
+            failure: results.failureCount
+        });
+    }
+
+    recordFailure(results, member, client, failure, attempts) {
+        results.failureCount++;
+        results.processedCount++;
+        results.failedMembers.push(`<@${member.id}>`);
+
+        const record = {
+            ...this.createDeliveryRecord(member, client, attempts),
+            reason: failure.reason,
+            transient: failure.transient
+        };
+        results.failures.push({ id: member.id, ...record });
+        results.deliveries.push({ id: member.id, status: 'failed', ...record, at: Date.now() });
+        if (!results.dryRun) {
+            broadcastCheckpoints.markProcessed(results.jobId, member.id, 'failed', record);
+        }
+
+        this.updateActiveJob(results.jobId, {
+            processed: results.processedCount,
+            success: results.successCount,
+            failure: results.failureCount
+        });
+    }
+
+    recordUnreached(results, member) {
+        results.unreachedMembers.push(`<@${member.id}>`);
+        results.deliveries.push({ id: member.id, status: 'unreached', ...this.createDeliveryRecord(member, null, 0), at: Date.now() });
+    }
+
+    async refreshProgress({ interaction, results, lang, languages }) {
+        const progress = Math.floor((results.processedCount / results.totalMembers) * 100);
+        const now = Date.now();
+
+        const isDue = results.dryRun
+            ? now - results.lastUIUpdate > DRY_RUN_UI_INTERVAL
+            : progress % 5 === 0 || now - results.lastUIUpdate > 3000;
+
+        if (isDue || results.processedCount === 1) {
+            results.lastUIUpdate = now;
+            await this.updateProgressUI({
+                interaction,
+                results,
+                progress,
+                lang,
+                languages
+            });
+        }
+    }
+
+    getMaxRetries() {
+        const maxRetries = Number(config.broadcast.maxRetries);
+        return Number.isFinite(maxRetries) ? Math.max(0, maxRetries) : 3;
+    }
+
+    async processRetryQueue(options) {
+        const { clients, content, results, interaction, lang, languages } = options;
+        const maxRetries = this.getMaxRetries();
+        const baseDelay = Number(config.broadcast.retryBaseDelay) || 5000;
+
+        for (let attempt = 1; attempt <= maxRetries && results.retryQueue.length > 0; attempt++) {
+            const retryAfter = Math.max(0, ...results.retryQueue.map(entry => entry.failure.retryAfter || 0));
+            const delay = Math.max(baseDelay * 2 ** (attempt - 1), retryAfter);
+            const queue = results.retryQueue.splice(0);
+
+            logger.info(`Retrying ${queue.length} transient failures (attempt ${attempt}/${maxRetries}) in ${formatTime(delay)}`);
+            if (!content.dryRun) {
+                await this.waitForBackoff(results.jobId, delay);
+            }
+
+            for (const [index, entry] of queue.entries()) {
+                const state = await this.waitWhilePaused(results.jobId);
+                if (state === 'cancelled') {
+                    this.recordUnreached(results, entry.member);
+                    continue;
+                }
+
+                const healthyClients = this.clients.filter(client => this.isClientHealthy(client));
+                const pool = healthyClients.length > 0
+                    ? healthyClients
+                    : clients.filter(client => !clientHealth.isQuarantined(client));
+                if (pool.length === 0) {
+                    this.recordFailure(results, entry.member, null, entry.failure, entry.attempts);
+                    continue;
+                }
+
+                const client = pool[index % pool.length];
+                entry.attempts++;
+
+                try {
+                    this.incrementLoad(client);
+
+                    await this.sendToMember(client, entry.member, content);
+                    this.trackPacing(client, content);
+                    this.trackHealth(client, content);
+                    results.recoveredCount++;
+                    this.recordSuccess(results, entry.member, client, entry.attempts);
+                    await this.refreshProgress({ interaction, results, lang, languages });
+                } catch (error) {
+                    const failure = classifyDeliveryError(error);
+                    logger.warn(`Retry ${attempt}/${maxRetries} for ${entry.member.user?.tag || entry.member.id} failed: ${failure.detail}`);
+                    this.trackPacing(client, content, failure);
+                    this.trackHealth(client, content, failure);
+
+                    if (failure.transient && attempt < maxRetries) {
+                        results.retryQueue.push({ ...entry, failure });
+                    } else {
+                        this.recordFailure(results, entry.member, client, failure, entry.attempts);
+                    }
+                } finally {
+                    this.decrementLoad(client);
+
+                    if (!content.dryRun) {
+                        await clientPacer.wait(client);
+                    }
+                }
+            }
+        }
     }
     
+    // Cancelling ends the backoff early; a pause is honoured by waitWhilePaused once it is over
+    async waitForBackoff(jobId, delay) {
+        const control = this.jobControls.get(jobId);
+        if (!control) return sleep(delay);
+
+        const until = Date.now() + delay;
+        while (control.state !== 'cancelled' && Date.now() < until) {
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, until - Date.now());
+                control.waiters.push(() => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            });
+        }
+    }
+
+    async waitWhilePaused(jobId) {
+        const control = this.jobControls.get(jobId);
+        if (!control) return 'running';
+
+        while (control.state === 'paused') {
+            await new Promise(resolve => control.waiters.push(resolve));
+        }
+
+        return control.state;
+    }
+
+    getJobState(jobId) {
+        return this.jobControls.get(jobId)?.state || null;
+    }
+
+    pauseJob(jobId, { byBreaker = false } = {}) {
+        const control = this.jobControls.get(jobId);
+        if (!control || control.state !== 'running') return null;
+
+        control.state = 'paused';
+        control.pausedByBreaker = byBreaker;
+        this.updateActiveJob(jobId, { status: 'paused', pausedAt: Date.now(), pausedByBreaker: byBreaker });
+        logger.info(`Broadcast job ${jobId} paused${byBreaker ? ' by the circuit breaker' : ''}`);
+        this.refreshJobUI(jobId);
+        return this.activeJobs.get(jobId);
+    }
+
+    resumeJob(jobId) {
+        const control = this.jobControls.get(jobId);
+        if (!control || control.state !== 'paused') return null;
+        if (circuitBreaker.isOpen()) {
+            logger.warn(`Broadcast job ${jobId} stays paused while the circuit breaker is open`);
+            return null;
+        }
+
+        control.state = 'running';
+        control.pausedByBreaker = false;
+        this.updateActiveJob(jobId, { status: 'running', pausedAt: null, pausedByBreaker: false });
+        control.waiters.splice(0).forEach(resolve => resolve());
+        logger.info(`Broadcast job ${jobId} resumed`);
+        this.refreshJobUI(jobId);
+        return this.activeJobs.get(jobId);
+    }
+
+    pauseForCircuitBreaker() {
+        [...this.jobControls.entries()]
+            .filter(([, control]) => control.state === 'running')
+            .forEach(([jobId]) => this.pauseJob(jobId, { byBreaker: true }));
+    }
+
+    resumeAfterCircuitBreaker() {
+        [...this.jobControls.entries()]
+            .filter(([, control]) => control.state === 'paused' && control.pausedByBreaker)
+            .forEach(([jobId]) => this.resumeJob(jobId));
+    }
+
+    getInvalidRequestStatus() {
+        return circuitBreaker.getStatus();
+    }
+
+    cancelJob(jobId) {
+        const control = this.jobControls.get(jobId);
+        if (!control || control.state === 'cancelled') return null;
+
+        control.state = 'cancelled';
+        this.updateActiveJob(jobId, { status: 'cancelled', pausedAt: null });
+        control.waiters.splice(0).forEach(resolve => resolve());
+        logger.warn(`Broadcast job ${jobId} cancelled`);
+        return this.activeJobs.get(jobId);
+    }
+
+    refreshJobUI(jobId) {
+        const control = this.jobControls.get(jobId);
+        if (!control) return;
+
+        const { interaction, results, lang, languages } = control.context;
+        const progress = Math.floor((results.processedCount / results.totalMembers) * 100);
+
+        this.updateProgressUI({ interaction, results, progress, lang, languages });
+    }
+
+    createJobControlButtons(jobId, state, lang, languages) {
+        const buttons = languages[lang].buttons;
+        const row = new MessageActionRow();
+
+        if (state === 'paused') {
+            row.addComponents(
+                new MessageButton()
+                    .setCustomId(`job_resume_${jobId}`)
+                    .setLabel(buttons.resume)
+                    .setStyle('SUCCESS')
+            );
+        } else {
+            row.addComponents(
+                new MessageButton()
+                    .setCustomId(`job_pause_${jobId}`)
+                    .setLabel(buttons.pause)
+                    .setStyle('SECONDARY')
+            );
+        }
+
+        row.addComponents(
+            new MessageButton()
+                .setCustomId(`job_cancel_${jobId}`)
+                .setLabel(buttons.stop)
+                .setStyle('DANGER')
+        );
+
+        return row;
+    }
+
     async updateProgressUI(options) {
         const { interaction, results, progress, lang, languages } = options;
+        const state = this.getJobState(results.jobId) || 'running';
         
         const getProgressBar = (percent) => {
             const filledCount = Math.floor(percent / 10);
@@ -357,8 +845,12 @@ class BroadcastManager {
             : 0;
             
         const progressEmbed = new MessageEmbed()
-            .setColor(config.colors.primary)
-            .setTitle(languages[lang].embeds.broadcast.processing)
+            .setColor(state === 'paused' ? config.colors.warning : config.colors.primary)
+            .setTitle(this.markDryRun(
+                state === 'paused' ? languages[lang].embeds.broadcast.paused : languages[lang].embeds.broadcast.processing,
+                results,
+                languages[lang]
+            ))
             .setDescription(`${getProgressBar(progress)} **${progress}%**`)
             .addField('📊 Status', 
                 `▪️ Processing: **${processedCount}/${results.totalMembers}**\n` +
@@ -367,12 +859,28 @@ class BroadcastManager {
             .addField('⏱️ Time Remaining', `${remainingMinutes}m ${remainingSeconds}s`, true)
             .addField('⏰ Elapsed Time', `${Math.floor(elapsedTime / 60000)}m ${Math.floor((elapsedTime % 60000) / 1000)}s`, true)
             .addField('⚡ Current Speed', `~${currentSpeed} members/sec`, true)
-            .addField('🤖 Active Clients', `${this.clients.length} bots`, true)
+            .addField('🚦 Send Rate',
+                `~${clientPacer.getTotalRate(this.clients).toFixed(1)}/${(clientPacer.getLimits().maxRate * this.clients.length).toFixed(1)} msg/sec` +
+                ` • ${clientPacer.getRateLimitCount(this.clients)} rate limits`, true)
+            .addField('🤖 Active Clients', `${this.clients.length} bots${this.getQuarantinedCount() > 0 ? ` • ${this.getQuarantinedCount()} quarantined` : ''}`, true)
             .setFooter(`Broadcast System by Wick Studio • ${this.clients.map(c => c.user.tag).join(' | ')}`)
             .setTimestamp();
+
+        if (this.jobControls.get(results.jobId)?.pausedByBreaker) {
+            const invalidRequests = circuitBreaker.getStatus();
+            progressEmbed.addField(languages[lang].embeds.broadcast.circuitBreaker,
+                languages[lang].messages.circuitBreakerOpen
+                    .replace('{0}', invalidRequests.count)
+                    .replace('{1}', invalidRequests.limit)
+                    .replace('{2}', invalidRequests.resumeBelow));
+        }
         
+        const components = state === 'cancelled'
+            ? []
+            : [this.createJobControlButtons(results.jobId, state, lang, languages)];
+
         try {
-            await interaction.editReply({ embeds: [progressEmbed] });
+            await interaction.editReply({ embeds: [progressEmbed], components });
         } catch (error) {
             logger.error('Failed to update progress UI:', error);
         }
@@ -388,15 +896,32 @@ class BroadcastManager {
             };
 
             const totalTime = Date.now() - results.startTime;
+            const wasCancelled = this.getJobState(results.jobId) === 'cancelled';
             const averageSpeed = Math.round(results.totalMembers / (totalTime / 1000));
 
+            results.reportSaved = broadcastReports.save(results.jobId, results.deliveries, { simulated: results.dryRun });
             const reportEmbed = this.createReportEmbed(results, message, lang, languages);
+            if (!results.dryRun && frequencyCap.isEnabled(results.guildId)) {
+                frequencyCap.compact();
+            }
             
-            if (config.server.reportChannelId) {
+            this.completeJob(results.jobId, {
+                results,
+                message,
+                duration: totalTime
+            });
+            broadcastCheckpoints.remove(results.jobId);
+            removeAttachments(results.ownedAttachments);
+
+            const reportChannelId = guildSettings.getReportChannelId(results.guildId);
+            if (reportChannelId) {
                 try {
-                    const reportChannel = await this.clients[0].channels.fetch(config.server.reportChannelId);
+                    const reportChannel = await this.clients[0].channels.fetch(reportChannelId);
                     if (reportChannel) {
                         await reportChannel.send({ embeds: [reportEmbed] });
+                        if (results.reportSaved) {
+                            await this.sendReportFiles(reportChannel, results.jobId, languages[lang]);
+                        }
                     }
                 } catch (error) {
                     logger.error(`Error sending broadcast report: ${error.message}`, error);
@@ -404,17 +929,32 @@ class BroadcastManager {
             }
 
             const completionEmbed = new MessageEmbed()
-                .setColor(config.colors.success)
-                .setTitle(languages[lang].embeds.broadcast.completed)
-                .setDescription(languages[lang].messages.completionMessage)
+                .setColor(wasCancelled ? config.colors.warning : config.colors.success)
+                .setTitle(this.markDryRun(
+                    wasCancelled ? languages[lang].embeds.broadcast.stopped : languages[lang].embeds.broadcast.completed,
+                    results,
+                    languages[lang]
+                ))
+                .setDescription(results.dryRun
+                    ? languages[lang].messages.dryRunCompleted
+                    : wasCancelled ? languages[lang].messages.stoppedMessage : languages[lang].messages.completionMessage)
                 .addFields([
                     {
                         name: '📊 Results', 
                         value: `${getProgressBar(Math.floor((results.successCount / results.totalMembers) * 100))} ${Math.floor((results.successCount / results.totalMembers) * 100)}%\n\n` +
                             `▪️ ${languages[lang].embeds.broadcast.totalMembers}: **${results.totalMembers}**\n` +
                             `✅ ${languages[lang].embeds.broadcast.successful}: **${results.successCount}**\n` +
-                            `❌ ${languages[lang].embeds.broadcast.failed}: **${results.failureCount}**`
+                            `❌ ${languages[lang].embeds.broadcast.failed}: **${results.failureCount}**` +
+                            (results.unreachedMembers.length > 0
+                                ? `\n${languages[lang].embeds.broadcast.notReached}: **${results.unreachedMembers.length}**`
+                                : '') +
+                            this.formatRetrySummary(results, languages[lang].embeds.broadcast)
                     },
+                    ...this.createFailureBreakdownFields(results.failures, {
+                        reasonsTitle: languages[lang].embeds.broadcast.failureReasons,
+                        clientsTitle: languages[lang].embeds.broadcast.failuresByClient,
+                        reasons: languages[lang].embeds.broadcast.reasons
+                    }),
                     {
                         name: '⏰ Total Time', 
                         value: `${Math.floor(totalTime / 60000)}m ${Math.floor((totalTime % 60000) / 1000)}s`, 
@@ -424,41 +964,72 @@ class BroadcastManager {
                         name: '⚡ Average Speed', 
                         value: `~${averageSpeed} members/sec`, 
                         inline: true
-                    }
+                    },
+                    ...this.createDryRunFields(results, languages[lang].embeds.broadcast)
                 ])
                 .setFooter({ text: `${languages[lang].system.broadcastSystem} • ${this.clients.map(c => c.user.tag).join(' | ')}` })
                 .setTimestamp();
 
-            await interaction.editReply({ embeds: [completionEmbed] });
-
-            this.completeJob(results.jobId, {
-                results,
-                message,
-                duration: totalTime
-            });
+            await interaction.editReply({ embeds: [completionEmbed], components: [] })
+                .catch(error => logger.error(`Failed to show the completion summary for job ${results.jobId}: ${error.message}`));
         } catch (error) {
             logger.error('Failed to finalize broadcast:', error);
+            this.activeJobs.delete(results.jobId);
+        } finally {
+            this.jobControls.delete(results.jobId);
         }
 
         return results;
     }
 
-    createJobRecord({ jobId, totalMembers, initiator, message, clients }) {
+    createDryRunFields(results, labels) {
+        if (!results.dryRun) return [];
+
+        const distribution = results.deliveries.reduce((counts, delivery) => {
+            if (delivery.clientTag) {
+                counts[delivery.clientTag] = (counts[delivery.clientTag] || 0) + 1;
+            }
+            return counts;
+        }, {});
+
+        return [
+            {
+                name: labels.clientDistribution,
+                value: Object.entries(distribution)
+                    .map(([clientTag, count]) => `${clientTag}: **${count}**`)
+                    .join('\n')
+                    .slice(0, 1024) || '-'
+            },
+            {
+                name: labels.estimatedDuration,
+                value: formatTime(results.estimatedTime),
+                inline: true
+            }
+        ];
+    }
+
+    createJobRecord({ jobId, totalMembers, initiator, initiatorId, audience, message, embed, attachments, clients, guildId = null, startedAt, dryRun = false }) {
         const jobRecord = {
             id: jobId,
+            guildId,
             status: 'running',
-            startedAt: Date.now(),
+            startedAt: startedAt || Date.now(),
             totalMembers,
             processed: 0,
             success: 0,
             failure: 0,
             progress: 0,
             initiator,
+            initiatorId,
+            audience: audience || null,
             messagePreview: message.length > 140 ? `${message.slice(0, 140)}...` : message,
+            embed: embed || null,
+            attachments: (attachments || []).map(({ name, size, contentType }) => ({ name, size, contentType })),
             clients: clients.map(client => ({
                 id: client.user.id,
                 tag: client.user.tag
             })),
+            dryRun,
             lastUpdate: Date.now()
         };
 
@@ -490,11 +1061,12 @@ class BroadcastManager {
         const now = Date.now();
         const activeJob = this.activeJobs.get(jobId) || {};
         const { results, message, duration = now - (activeJob.startedAt || Date.now()) } = data;
+        const failureBreakdown = this.getFailureBreakdown(results?.failures);
 
         const completedJob = {
             ...activeJob,
             id: jobId,
-            status: 'completed',
+            status: activeJob.status === 'cancelled' ? 'cancelled' : 'completed',
             finishedAt: now,
             duration,
             processed: results?.processedCount ?? activeJob.processed ?? 0,
@@ -502,74 +1074,270 @@ class BroadcastManager {
             failure: results?.failureCount ?? activeJob.failure ?? 0,
             totalMembers: results?.totalMembers ?? activeJob.totalMembers ?? 0,
             messagePreview: message?.length > 140 ? `${message.slice(0, 140)}...` : message || activeJob.messagePreview,
+            message: message || activeJob.messagePreview,
+            failedMembers: (results?.failedMembers || []).map(member => String(member).replace(/[<@!>]/g, '')),
+            unreachedMembers: (results?.unreachedMembers || []).map(member => String(member).replace(/[<@!>]/g, '')),
+            ...this.getRetrySummary(results),
+            failureReasons: failureBreakdown.byReason,
+            failuresByClient: failureBreakdown.byClient,
+            hasReport: Boolean(results?.reportSaved),
+            dryRun: Boolean(results?.dryRun),
             progress: 100
         };
 
         this.activeJobs.delete(jobId);
-        this.completedJobs.unshift(completedJob);
-        this.completedJobs = this.completedJobs.slice(0, 10);
-
-        if (results) {
-            this.stats.totalBroadcasts += 1;
-            this.stats.totalMembersTargeted += results.totalMembers;
-            this.stats.totalSuccess += results.successCount;
-            this.stats.totalFailures += results.failureCount;
-            this.stats.lastBroadcastAt = now;
-            this.stats.lastBroadcastMessage = message?.slice(0, 200) || completedJob.messagePreview;
-        }
+        broadcastHistory.record(completedJob);
 
-        logger.info(`Broadcast job ${jobId} completed. Success: ${completedJob.success}, Failed: ${completedJob.failure}`);
+        logger.info(`Broadcast job ${jobId} ${completedJob.status}. Success: ${completedJob.success}, Failed: ${completedJob.failure}`);
         return completedJob;
     }
 
-    getActiveJobs() {
-        return Array.from(this.activeJobs.values()).map(job => ({
-            ...job,
-            runtime: job.startedAt ? formatTime(Date.now() - job.startedAt) : '0s'
-        }));
+    getActiveJobs(guildId = null) {
+        return Array.from(this.activeJobs.values())
+            .filter(job => !guildId || job.guildId === guildId)
+            .map(job => ({
+                ...job,
+                runtime: job.startedAt ? formatTime(Date.now() - job.startedAt) : '0s'
+            }));
+    }
+
+    formatHistoryJob(job) {
+        const { message, embed, failedMembers, unreachedMembers, ...summary } = job;
+
+        return {
+            ...summary,
+            failedCount: (failedMembers || []).length,
+            unreachedCount: (unreachedMembers || []).length,
+            failureSummary: this.summarizeFailures(job),
+            durationFormatted: formatTime(job.duration || 0)
+        };
+    }
+
+    getRecentJobs(limit = 10, guildId = null) {
+        return broadcastHistory.getRecent(limit, guildId).map(job => this.formatHistoryJob(job));
+    }
+
+    getJobHistory(filters = {}) {
+        const { total, jobs } = broadcastHistory.query(filters);
+        return {
+            total,
+            jobs: jobs.map(job => this.formatHistoryJob(job))
+        };
+    }
+
+    isJobBusy(jobId) {
+        return this.activeJobs.has(jobId) || this.resumingJobs.has(jobId);
+    }
+
+    getPendingCheckpoints(guildId = null) {
+        return broadcastCheckpoints.listPending()
+            .filter(checkpoint => !this.isJobBusy(checkpoint.jobId))
+            .filter(checkpoint => !guildId || checkpoint.guildId === guildId);
+    }
+
+    loadCheckpoint(jobId) {
+        if (this.isJobBusy(jobId)) return null;
+        return broadcastCheckpoints.load(jobId);
+    }
+
+    claimCheckpoint(jobId) {
+        const checkpoint = this.loadCheckpoint(jobId);
+        if (checkpoint) {
+            this.resumingJobs.add(jobId);
+        }
+        return checkpoint;
     }
 
-    getRecentJobs() {
-        return this.completedJobs.map(job => ({
+    releaseCheckpoint(jobId) {
+        this.resumingJobs.delete(jobId);
+    }
+
+    discardCheckpoint(jobId) {
+        if (this.isJobBusy(jobId)) return false;
+
+        const checkpoint = broadcastCheckpoints.load(jobId);
+        broadcastCheckpoints.remove(jobId);
+        if (checkpoint?.ownsAttachments) {
+            removeAttachments(checkpoint.attachments);
+        }
+        logger.info(`Discarded checkpoint for broadcast job ${jobId}`);
+        return true;
+    }
+
+    markCheckpointMember(jobId, memberId, status, details) {
+        broadcastCheckpoints.markProcessed(jobId, memberId, status, details);
+    }
+
+    getJobDetails(jobId) {
+        const job = broadcastHistory.getJob(jobId);
+        if (!job) return null;
+
+        return {
             ...job,
             durationFormatted: formatTime(job.duration || 0)
-        }));
+        };
     }
 
-    getStats() {
-        const uptime = Date.now() - this.stats.startedAt;
-        const totalAttempts = this.stats.totalSuccess + this.stats.totalFailures;
-        const successRate = totalAttempts === 0 ? 0 : Math.round((this.stats.totalSuccess / totalAttempts) * 100);
+    getStats(guildId = null) {
+        const totals = broadcastHistory.getTotals(guildId);
+        const uptime = Date.now() - this.startedAt;
+        const totalAttempts = totals.totalSuccess + totals.totalFailures;
+        const successRate = totalAttempts === 0 ? 0 : Math.round((totals.totalSuccess / totalAttempts) * 100);
 
         return {
-            startedAt: this.stats.startedAt,
+            startedAt: this.startedAt,
             uptime,
-            totalBroadcasts: this.stats.totalBroadcasts,
-            totalMembersTargeted: this.stats.totalMembersTargeted,
-            totalSuccess: this.stats.totalSuccess,
-            totalFailures: this.stats.totalFailures,
+            totalBroadcasts: totals.totalBroadcasts,
+            totalMembersTargeted: totals.totalMembersTargeted,
+            totalSuccess: totals.totalSuccess,
+            totalFailures: totals.totalFailures,
             successRate,
-            lastBroadcastAt: this.stats.lastBroadcastAt,
-            lastBroadcastMessage: this.stats.lastBroadcastMessage
+            lastBroadcastAt: totals.lastBroadcastAt,
+            lastBroadcastMessage: totals.lastBroadcastMessage
         };
     }
 
-    getDashboardState() {
+    getDashboardState(guildId = null) {
         return {
-            stats: this.getStats(),
-            activeJobs: this.getActiveJobs(),
-            recentJobs: this.getRecentJobs(),
+            guildId,
+            stats: this.getStats(guildId),
+            activeJobs: this.getActiveJobs(guildId),
+            recentJobs: this.getRecentJobs(10, guildId),
             clientLoad: Array.from(this.clientLoadMap.entries())
-                .map(([clientId, load]) => ({ clientId, load }))
+                .map(([clientId, load]) => ({ clientId, load })),
+            clientHealth: this.clients.map(client => ({ clientId: client.user.id, ...clientHealth.getStatus(client) })),
+            invalidRequests: circuitBreaker.getStatus()
         };
     }
+
+    getQuarantinedCount() {
+        return this.clients.filter(client => clientHealth.isQuarantined(client)).length;
+    }
+
+    getRetrySummary(results) {
+        const failures = results?.failures || [];
+
+        return {
+            recovered: results?.recoveredCount || 0,
+            failedAfterRetries: failures.filter(failure => failure.transient).length,
+            permanentFailures: failures.filter(failure => !failure.transient).length
+        };
+    }
+
+    formatRetrySummary(results, labels) {
+        const summary = this.getRetrySummary(results);
+        if (summary.recovered === 0 && summary.failedAfterRetries === 0) return '';
+
+        return `\n${labels.recovered}: **${summary.recovered}**` +
+            `\n${labels.failedAfterRetries}: **${summary.failedAfterRetries}**` +
+            `\n${labels.permanentFailures}: **${summary.permanentFailures}**`;
+    }
+
+    createReportAttachments(jobId) {
+        const attachments = [];
+        const skipped = [];
+
+        ['csv', 'json'].forEach(format => {
+            const content = broadcastReports.render(jobId, format);
+            if (!content) return;
+
+            let name = `broadcast-${jobId}.${format}`;
+            let buffer = Buffer.from(content, 'utf8');
+            if (buffer.length > MAX_REPORT_UPLOAD_SIZE) {
+                name += '.gz';
+                buffer = zlib.gzipSync(buffer);
+            }
+
+            if (buffer.length > MAX_REPORT_UPLOAD_SIZE) {
+                skipped.push(format);
+            } else {
+                attachments.push({ format, attachment: new MessageAttachment(buffer, name) });
+            }
+        });
+
+        return { attachments, skipped };
+    }
+
+    async sendReportFiles(channel, jobId, language) {
+        const { attachments, skipped } = this.createReportAttachments(jobId);
+
+        for (const { format, attachment } of attachments) {
+            try {
+                await channel.send({ files: [attachment] });
+            } catch (error) {
+                logger.warn(`Failed to upload the ${format} report for job ${jobId}: ${error.message}`);
+                skipped.push(format);
+            }
+        }
+
+        if (skipped.length > 0) {
+            await channel.send(language.messages.reportTooLarge
+                .replace('{0}', skipped.map(format => `\`/api/history/${jobId}/report.${format}\``).join(', ')));
+        }
+    }
+
+    // The report files follow the report embed; when they are too large to upload
+    // the dashboard link is the only way to the full list
+    describeFullReport(results, language) {
+        if (!results.reportSaved) return language.embeds.broadcast.fullListLogged;
+        return language.embeds.broadcast.fullListReport
+            .replace('{0}', `\`/api/history/${results.jobId}/report.csv\``);
+    }
+
+    getDeliveryReport(jobId, format) {
+        return broadcastReports.render(jobId, format);
+    }
+
+    getFailureBreakdown(failures = []) {
+        const byReason = {};
+        const byClient = {};
+
+        failures.forEach(failure => {
+            const clientKey = failure.clientTag || failure.clientId || 'N/A';
+            byReason[failure.reason] = (byReason[failure.reason] || 0) + 1;
+            byClient[clientKey] = (byClient[clientKey] || 0) + 1;
+        });
+
+        return { byReason, byClient };
+    }
+
+    sortFailureCounts(counts = {}, labels = {}) {
+        return Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([key, count]) => [labels[key] || key, count]);
+    }
+
+    createFailureBreakdownFields(failures = [], { reasonsTitle, clientsTitle, reasons }) {
+        if (failures.length === 0) return [];
+
+        const { byReason, byClient } = this.getFailureBreakdown(failures);
+        const formatCounts = (counts, labels) => this.sortFailureCounts(counts, labels)
+            .map(([label, count]) => `▪️ ${label}: **${count}**`)
+            .join('\n')
+            .slice(0, 1024);
+
+        return [
+            { name: reasonsTitle, value: formatCounts(byReason, reasons), inline: true },
+            { name: clientsTitle, value: formatCounts(byClient), inline: true }
+        ];
+    }
+
+    summarizeFailures(job) {
+        if (!job.failureReasons || Object.keys(job.failureReasons).length === 0) return '';
+
+        const formatCounts = (counts, labels) => this.sortFailureCounts(counts, labels)
+            .map(([label, count]) => `${label}: ${count}`)
+            .join(', ');
+
+        return `${formatCounts(job.failureReasons, FAILURE_LABELS)} • ${formatCounts(job.failuresByClient)}`;
+    }
 
     createReportEmbed(results, message, lang, languages) {
-        const { successCount, failureCount, failedMembers } = results;
+        const { successCount, failureCount, failedMembers, unreachedMembers = [] } = results;
         
         const reportEmbed = new MessageEmbed()
             .setColor(config.colors.warning)
-            .setTitle('📊 ' + languages[lang].embeds.broadcast.report)
+            .setTitle(this.markDryRun('📊 ' + languages[lang].embeds.broadcast.report, results, languages[lang]))
             .setDescription(`Broadcast report for ${results.totalMembers} members.`)
             .addFields([
                 {
@@ -582,8 +1350,19 @@ class BroadcastManager {
                     name: '📊 Results',
                     value: `▪️ Total Members: **${results.totalMembers}**\n` +
                         `✅ Successful: **${successCount}**\n` +
-                        `❌ Failed: **${failureCount}**`
-                }
+                        `❌ Failed: **${failureCount}**` +
+                        (unreachedMembers.length > 0 ? `\n🚫 Not Reached: **${unreachedMembers.length}**` : '') +
+                        this.formatRetrySummary(results, {
+                            recovered: '♻️ Recovered by Retry',
+                            failedAfterRetries: '🔁 Failed After Retries',
+                            permanentFailures: '⛔ Permanently Undeliverable'
+                        })
+                },
+                ...this.createFailureBreakdownFields(results.failures, {
+                    reasonsTitle: '🧾 Failure Reasons',
+                    clientsTitle: '🤖 Failures per Bot',
+                    reasons: FAILURE_LABELS
+                })
             ])
             .setFooter({ text: `Broadcast System by Wick Studio • ${this.clients.map(c => c.user.tag).join(' | ')}` })
             .setTimestamp();
@@ -616,13 +1395,15 @@ class BroadcastManager {
             if (failedMembers.length > MAX_MEMBERS_PER_FIELD * MAX_FAILED_FIELDS) {
                 reportEmbed.addFields([{
                     name: languages[lang].embeds.broadcast.failedMembers,
-                    value: `Too many failed members (${failedMembers.length}) to display. First ${MAX_MEMBERS_PER_FIELD} members:\n` + 
+                    value: languages[lang].embeds.broadcast.tooManyFailed
+                        .replace('{0}', failedMembers.length)
+                        .replace('{1}', MAX_MEMBERS_PER_FIELD) + '\n' +
                            formattedFailedMembers.slice(0, MAX_MEMBERS_PER_FIELD).join(', ')
                 }]);
                 
                 reportEmbed.addFields([{
-                    name: '📋 Full List',
-                    value: 'Check the console logs for the complete list of failed members.'
+                    name: languages[lang].embeds.broadcast.fullList,
+                    value: this.describeFullReport(results, languages[lang])
                 }]);
                 
                 logger.info(`Failed members (${failedMembers.length}): ${formattedFailedMembers.join(', ')}`);
@@ -655,8 +1436,9 @@ class BroadcastManager {
                 if (chunks.length > MAX_FAILED_FIELDS) {
                     const remainingCount = failedMembers.length - (MAX_FAILED_FIELDS * MAX_MEMBERS_PER_FIELD);
                     reportEmbed.addFields([{
-                        name: '📋 Additional Failed Members',
-                        value: `... and ${remainingCount} more. Check the console logs for the full list.`
+                        name: languages[lang].embeds.broadcast.additionalFailed,
+                        value: languages[lang].embeds.broadcast.moreFailed.replace('{0}', remainingCount) +
+                            ' ' + this.describeFullReport(results, languages[lang])
                     }]);
                     
                     logger.info(`All failed members (${failedMembers.length}): ${formattedFailedMembers.join(', ')}`);
@@ -664,6 +1446,30 @@ class BroadcastManager {
             }
         }
         
+        if (unreachedMembers.length > 0) {
+            const MAX_EMBED_FIELD_LENGTH = 1024;
+            let value = '';
+            let listed = 0;
+
+            for (const mention of unreachedMembers) {
+                const next = value ? `${value}, ${mention}` : mention;
+                if (next.length > MAX_EMBED_FIELD_LENGTH - 40) break;
+                value = next;
+                listed++;
+            }
+
+            if (listed < unreachedMembers.length) {
+                value += ` ... +${unreachedMembers.length - listed}`;
+            }
+
+            reportEmbed.addFields([{
+                name: languages[lang].embeds.broadcast.notReached,
+                value
+            }]);
+
+            logger.info(`Members not reached (${unreachedMembers.length}): ${unreachedMembers.join(', ')}`);
+        }
+        
         return reportEmbed;
     }
 }
@@ -0,0 +1,62 @@
+const path = require('path');
+
+const { createLogger } = require('../utils/helpers');
+const { readJson, writeJson } = require('../utils/storage');
+
+const logger = createLogger('BroadcastReports');
+const REPORTS_DIR = 'reports';
+const CSV_COLUMNS = ['memberId', 'tag', 'status', 'reason', 'clientId', 'clientTag', 'attempts', 'timestamp'];
+
+const reportFile = (jobId) => path.join(REPORTS_DIR, `${jobId}.json`);
+
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class BroadcastReports {
+    save(jobId, deliveries, { simulated = false } = {}) {
+        const entries = deliveries.map(delivery => ({
+            memberId: delivery.id,
+            tag: delivery.tag || null,
+            status: delivery.status,
+            reason: delivery.reason || null,
+            clientId: delivery.clientId || null,
+            clientTag: delivery.clientTag || null,
+            attempts: delivery.attempts || 0,
+            timestamp: new Date(delivery.at || Date.now()).toISOString()
+        }));
+
+        try {
+            writeJson(reportFile(jobId), { jobId, generatedAt: Date.now(), simulated, entries });
+            return true;
+        } catch (error) {
+            logger.error(`Failed to save delivery report for job ${jobId}: ${error.message}`);
+            return false;
+        }
+    }
+
+    load(jobId) {
+        if (!/^[a-z0-9]+$/i.test(jobId)) return null;
+        return readJson(reportFile(jobId), null);
+    }
+
+    toCsv(report) {
+        const lines = report.entries.map(entry => CSV_COLUMNS.map(column => escapeCsv(entry[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...lines].join('\n');
+    }
+
+    toJson(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    render(jobId, format) {
+        const report = this.load(jobId);
+        if (!report) return null;
+
+        return format === 'csv' ? this.toCsv(report) : this.toJson(report);
+    }
+}
+
+module.exports = new BroadcastReports();
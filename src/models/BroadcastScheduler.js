@@ -0,0 +1,333 @@
+const { MessageEmbed } = require('discord.js');
+const config = require('../../config');
+const broadcastManager = require('./BroadcastManager');
+const languageManager = require('./LanguageManager');
+const optOutList = require('./OptOutList');
+const frequencyCap = require('./FrequencyCap');
+const guildSettings = require('./GuildSettings');
+const { createLogger, generateId } = require('../utils/helpers');
+const { readJson, writeJson } = require('../utils/storage');
+const { getNextCronRun } = require('../utils/schedule');
+const { resolveTargetMembers } = require('../utils/targets');
+const { removeAttachments } = require('../utils/attachments');
+
+const logger = createLogger('BroadcastScheduler');
+const SCHEDULES_FILE = 'schedules.json';
+const RECURRENCES_FILE = 'recurrences.json';
+const MAX_RECURRENCE_RUNS = 50;
+
+const inGuild = (guildId) => (entry) => !guildId || entry.guildId === guildId;
+
+class BroadcastScheduler {
+    constructor() {
+        this.schedules = readJson(SCHEDULES_FILE, []);
+        this.recurrences = readJson(RECURRENCES_FILE, []);
+        this.runningRecurrences = new Set();
+        this.timer = null;
+
+        this.recurrences.forEach(recurrence => {
+            const lastRun = recurrence.runs[recurrence.runs.length - 1];
+            if (lastRun && lastRun.status === 'running') {
+                lastRun.status = 'interrupted';
+                logger.warn(`Recurring broadcast ${recurrence.id} run was interrupted by a restart (job ${lastRun.jobId})`);
+            }
+        });
+
+        this.schedules
+            .filter(schedule => schedule.status === 'running')
+            .forEach(schedule => {
+                schedule.status = 'interrupted';
+                logger.warn(`Scheduled broadcast ${schedule.id} was interrupted by a restart (job ${schedule.jobId})`);
+            });
+    }
+
+    save() {
+        try {
+            writeJson(SCHEDULES_FILE, this.schedules);
+        } catch (error) {
+            logger.error(`Failed to persist scheduled broadcasts: ${error.message}`);
+        }
+    }
+
+    saveRecurrences() {
+        try {
+            writeJson(RECURRENCES_FILE, this.recurrences);
+        } catch (error) {
+            logger.error(`Failed to persist recurring broadcasts: ${error.message}`);
+        }
+    }
+
+    create(data) {
+        const schedule = {
+            ...data,
+            id: generateId(),
+            status: 'scheduled',
+            createdAt: Date.now(),
+            jobId: null
+        };
+
+        this.schedules.push(schedule);
+        this.save();
+
+        logger.info(`Scheduled broadcast ${schedule.id} for ${new Date(schedule.runAt).toISOString()} by ${schedule.initiator}`);
+        return schedule;
+    }
+
+    get(scheduleId, guildId = null) {
+        return this.schedules.find(schedule => schedule.id === scheduleId && inGuild(guildId)(schedule)) || null;
+    }
+
+    getUpcoming(guildId = null) {
+        return this.schedules
+            .filter(schedule => schedule.status === 'scheduled' && inGuild(guildId)(schedule))
+            .sort((a, b) => a.runAt - b.runAt);
+    }
+
+    cancel(scheduleId, guildId = null) {
+        const schedule = this.get(scheduleId, guildId);
+        if (!schedule || schedule.status !== 'scheduled') return null;
+
+        schedule.status = 'cancelled';
+        schedule.cancelledAt = Date.now();
+        removeAttachments(schedule.attachments);
+        this.save();
+
+        logger.info(`Scheduled broadcast ${scheduleId} cancelled`);
+        return schedule;
+    }
+
+    createRecurrence(data) {
+        const recurrence = {
+            ...data,
+            id: generateId(),
+            status: 'active',
+            createdAt: Date.now(),
+            nextRunAt: getNextCronRun(data.cron, Date.now(), data.timeZone),
+            runs: []
+        };
+
+        this.recurrences.push(recurrence);
+        this.saveRecurrences();
+
+        logger.info(`Recurring broadcast ${recurrence.id} (${recurrence.cron}, ${recurrence.timeZone}) created by ${recurrence.initiator}`);
+        return recurrence;
+    }
+
+    getRecurrence(recurrenceId, guildId = null) {
+        return this.recurrences.find(recurrence => recurrence.id === recurrenceId && inGuild(guildId)(recurrence)) || null;
+    }
+
+    getRecurrences(guildId = null) {
+        return this.recurrences.filter(inGuild(guildId)).sort((a, b) => (a.nextRunAt || Infinity) - (b.nextRunAt || Infinity));
+    }
+
+    pauseRecurrence(recurrenceId) {
+        const recurrence = this.getRecurrence(recurrenceId);
+        if (!recurrence || recurrence.status !== 'active') return null;
+
+        recurrence.status = 'paused';
+        this.saveRecurrences();
+
+        logger.info(`Recurring broadcast ${recurrenceId} paused`);
+        return recurrence;
+    }
+
+    resumeRecurrence(recurrenceId) {
+        const recurrence = this.getRecurrence(recurrenceId);
+        if (!recurrence || recurrence.status !== 'paused') return null;
+
+        recurrence.status = 'active';
+        recurrence.nextRunAt = getNextCronRun(recurrence.cron, Date.now(), recurrence.timeZone);
+        this.saveRecurrences();
+
+        logger.info(`Recurring broadcast ${recurrenceId} resumed`);
+        return recurrence;
+    }
+
+    deleteRecurrence(recurrenceId) {
+        const recurrence = this.getRecurrence(recurrenceId);
+        if (!recurrence) return null;
+
+        this.recurrences = this.recurrences.filter(entry => entry.id !== recurrenceId);
+        removeAttachments(recurrence.attachments);
+        this.saveRecurrences();
+
+        logger.info(`Recurring broadcast ${recurrenceId} deleted`);
+        return recurrence;
+    }
+
+    start() {
+        if (this.timer) {
+            logger.warn('Scheduler already running.');
+            return;
+        }
+
+        const interval = Number(config.scheduler?.checkInterval) || 30000;
+        this.timer = setInterval(() => this.tick(), interval);
+        this.timer.unref?.();
+
+        logger.info(`Scheduler started with ${this.getUpcoming().length} upcoming and ${this.recurrences.length} recurring broadcast(s)`);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            logger.info('Scheduler stopped');
+        }
+    }
+
+    tick() {
+        const now = Date.now();
+
+        this.getUpcoming()
+            .filter(schedule => schedule.runAt <= now)
+            .forEach(schedule => {
+                if (now - schedule.runAt > 60000) {
+                    logger.warn(`Scheduled broadcast ${schedule.id} is running late (was due ${new Date(schedule.runAt).toISOString()})`);
+                }
+
+                this.fire(schedule);
+            });
+
+        this.recurrences
+            .filter(recurrence => recurrence.status === 'active' && recurrence.nextRunAt && recurrence.nextRunAt <= now)
+            .forEach(recurrence => this.fireRecurrence(recurrence));
+    }
+
+    async executeBroadcast(definition, jobId) {
+        const languages = languageManager.getAllLanguages();
+        const lang = languages[definition.lang] ? definition.lang : guildSettings.getLanguage(definition.guildId) || languageManager.getDefaultLanguageCode();
+
+        return languageManager.run(lang, () => this.runBroadcast(definition, jobId, lang, languages));
+    }
+
+    async runBroadcast(definition, jobId, lang, languages) {
+        const settings = guildSettings.get(definition.guildId);
+        if (!settings) {
+            throw new Error(`Guild ${definition.guildId} is no longer configured`);
+        }
+
+        const client = broadcastManager.clients[0];
+        if (!client) {
+            throw new Error('No clients available');
+        }
+
+        const guild = await client.guilds.fetch(definition.guildId);
+        const { members: subscribed, excludedCount } = optOutList.exclude(await resolveTargetMembers(guild, definition.target), definition.guildId);
+        const { members, cappedCount } = frequencyCap.exclude(subscribed, {
+            override: Boolean(definition.urgent),
+            guildId: definition.guildId
+        });
+
+        if (excludedCount > 0) {
+            logger.info(`Excluded ${excludedCount} opted-out member(s) from broadcast ${definition.id}`);
+        }
+        if (cappedCount > 0) {
+            logger.info(`${definition.urgent ? 'Sending anyway to' : 'Excluded'} ${cappedCount} member(s) over the frequency cap for broadcast ${definition.id}`);
+        }
+
+        if (members.size === 0) {
+            throw new Error('No members matched the scheduled audience');
+        }
+        if (settings.limits.maxRecipients > 0 && members.size > settings.limits.maxRecipients) {
+            throw new Error(`${members.size} members exceed the guild limit of ${settings.limits.maxRecipients} recipients`);
+        }
+
+        const channel = await client.channels.fetch(definition.channelId);
+        const statusMessage = await channel.send({
+            embeds: [
+                new MessageEmbed()
+                    .setColor(config.colors.warning)
+                    .setTitle(languages[lang].embeds.broadcast.processing)
+                    .setDescription(languages[lang].messages.startingBroadcast.replace('{0}', members.size))
+                    .setFooter({ text: languageManager.translate(definition.cron ? 'messages.recurringFooter' : 'messages.scheduledFooter', definition.id) })
+                    .setTimestamp()
+            ]
+        });
+
+        const interaction = {
+            user: { id: definition.initiatorId, tag: definition.initiator },
+            guild,
+            editReply: (payload) => statusMessage.edit(payload)
+        };
+
+        logger.info(`Firing ${definition.cron ? 'recurring' : 'scheduled'} broadcast ${definition.id} to ${members.size} members`);
+
+        return broadcastManager.startBroadcast({
+            interaction,
+            members,
+            message: definition.message,
+            embed: definition.embed,
+            attachments: definition.attachments,
+            audience: definition.audience,
+            lang,
+            languages,
+            jobId,
+            ownsAttachments: !definition.cron
+        });
+    }
+
+    async fireRecurrence(recurrence) {
+        const now = Date.now();
+        recurrence.nextRunAt = getNextCronRun(recurrence.cron, now, recurrence.timeZone);
+
+        if (this.runningRecurrences.has(recurrence.id)) {
+            logger.warn(`Recurring broadcast ${recurrence.id} is still running, skipping this occurrence`);
+            this.recordRecurrenceRun(recurrence, { jobId: null, firedAt: now, finishedAt: now, status: 'skipped' });
+            return;
+        }
+
+        const run = { jobId: generateId(), firedAt: now, status: 'running' };
+        this.runningRecurrences.add(recurrence.id);
+        this.recordRecurrenceRun(recurrence, run);
+
+        try {
+            const results = await this.executeBroadcast(recurrence, run.jobId);
+            run.status = 'completed';
+            run.totalMembers = results?.totalMembers || 0;
+            run.success = results?.successCount || 0;
+            run.failure = results?.failureCount || 0;
+        } catch (error) {
+            logger.error(`Recurring broadcast ${recurrence.id} failed: ${error.message}`);
+            run.status = 'failed';
+            run.error = error.message;
+        } finally {
+            this.runningRecurrences.delete(recurrence.id);
+        }
+
+        run.finishedAt = Date.now();
+        this.saveRecurrences();
+    }
+
+    recordRecurrenceRun(recurrence, run) {
+        recurrence.runs.push(run);
+        recurrence.runs = recurrence.runs.slice(-MAX_RECURRENCE_RUNS);
+        recurrence.lastRunAt = run.firedAt;
+        this.saveRecurrences();
+    }
+
+    async fire(schedule) {
+        schedule.status = 'running';
+        schedule.jobId = generateId();
+        schedule.firedAt = Date.now();
+        this.save();
+
+        try {
+            await this.executeBroadcast(schedule, schedule.jobId);
+            schedule.status = 'completed';
+        } catch (error) {
+            logger.error(`Scheduled broadcast ${schedule.id} failed: ${error.message}`);
+            schedule.status = 'failed';
+            schedule.error = error.message;
+            // Once started, the job removes the attachments together with its checkpoint
+            removeAttachments(schedule.attachments);
+        }
+
+        schedule.finishedAt = Date.now();
+        this.save();
+    }
+}
+
+module.exports = new BroadcastScheduler();
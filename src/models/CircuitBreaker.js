@@ -0,0 +1,124 @@
+const config = require('../../config');
+const { createLogger, formatTime } = require('../utils/helpers');
+
+const logger = createLogger('CircuitBreaker');
+const DISCORD_INVALID_LIMIT = 10000;
+const INVALID_STATUSES = [401, 403, 429];
+const CHECK_INTERVAL = 5000;
+
+class CircuitBreaker {
+    constructor() {
+        this.buckets = [];
+        this.listeners = new Map();
+        this.openedAt = null;
+        this.timer = null;
+        this.onTrip = null;
+        this.onReset = null;
+    }
+
+    configure({ onTrip, onReset }) {
+        this.onTrip = onTrip;
+        this.onReset = onReset;
+    }
+
+    getLimits() {
+        const limits = config.broadcast.invalidRequests || {};
+        const tripAt = Math.min(Number(limits.tripAt) || 5000, DISCORD_INVALID_LIMIT);
+        return {
+            window: Number(limits.window) || 10 * 60 * 1000,
+            tripAt,
+            resumeBelow: Math.min(Number(limits.resumeBelow) || 2000, tripAt)
+        };
+    }
+
+    attach(client) {
+        if (this.listeners.has(client)) return;
+
+        const listener = (request, response) => {
+            if (!INVALID_STATUSES.includes(response.status)) return;
+            if (response.status === 429 && response.headers.get('x-ratelimit-scope') === 'shared') return;
+
+            this.record();
+        };
+        this.listeners.set(client, listener);
+        client.on('apiResponse', listener);
+    }
+
+    detach(client) {
+        const listener = this.listeners.get(client);
+        if (!listener) return;
+
+        client.off('apiResponse', listener);
+        this.listeners.delete(client);
+    }
+
+    prune() {
+        const { window } = this.getLimits();
+        const cutoff = Date.now() - window;
+        while (this.buckets.length > 0 && this.buckets[0].at <= cutoff) {
+            this.buckets.shift();
+        }
+    }
+
+    record() {
+        const second = Math.floor(Date.now() / 1000) * 1000;
+        const last = this.buckets[this.buckets.length - 1];
+        if (last && last.at === second) {
+            last.count++;
+        } else {
+            this.buckets.push({ at: second, count: 1 });
+        }
+
+        if (!this.isOpen() && this.getCount() >= this.getLimits().tripAt) {
+            this.trip();
+        }
+    }
+
+    getCount() {
+        this.prune();
+        return this.buckets.reduce((total, bucket) => total + bucket.count, 0);
+    }
+
+    isOpen() {
+        return this.openedAt !== null;
+    }
+
+    trip() {
+        const { window, resumeBelow } = this.getLimits();
+        this.openedAt = Date.now();
+
+        logger.error(`${this.getCount()} invalid requests in the last ${formatTime(window)}, pausing all broadcasts until the count drops below ${resumeBelow}`);
+        this.onTrip?.();
+
+        this.timer = setInterval(() => {
+            if (this.getCount() < this.getLimits().resumeBelow) {
+                this.reset();
+            }
+        }, CHECK_INTERVAL);
+        this.timer.unref?.();
+    }
+
+    reset() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        logger.info(`Invalid requests dropped to ${this.getCount()} after ${formatTime(Date.now() - this.openedAt)}, resuming broadcasts`);
+        this.openedAt = null;
+        this.onReset?.();
+    }
+
+    getStatus() {
+        const { window, tripAt, resumeBelow } = this.getLimits();
+        return {
+            count: this.getCount(),
+            window,
+            tripAt,
+            resumeBelow,
+            limit: DISCORD_INVALID_LIMIT,
+            open: this.isOpen(),
+            openedAt: this.openedAt
+        };
+    }
+}
+
+module.exports = new CircuitBreaker();
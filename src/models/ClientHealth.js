@@ -0,0 +1,154 @@
+const config = require('../../config');
+const { createLogger, formatTime } = require('../utils/helpers');
+
+const logger = createLogger('ClientHealth');
+const FATAL_CLOSE_CODES = [4004, 4013, 4014];
+// Closed DMs, missing permissions and unknown users depend on the recipient and
+// hit every bot alike, so only failures that point at the bot itself are scored.
+const COUNTED_FAILURES = ['network', 'other'];
+
+class ClientHealth {
+    constructor() {
+        this.states = new Map();
+        this.listeners = new Map();
+        this.onQuarantine = null;
+    }
+
+    configure({ onQuarantine }) {
+        this.onQuarantine = onQuarantine;
+    }
+
+    getLimits() {
+        const health = config.broadcast.health || {};
+        return {
+            window: Number(health.window) || 25,
+            maxErrorRate: Number(health.maxErrorRate) || 0.8,
+            maxDisconnects: Number(health.maxDisconnects) || 3,
+            disconnectWindow: Number(health.disconnectWindow) || 10 * 60 * 1000,
+            quarantineTime: Number(health.quarantineTime) || 15 * 60 * 1000
+        };
+    }
+
+    createState() {
+        return { outcomes: [], disconnects: [], quarantine: null };
+    }
+
+    attach(client) {
+        if (this.states.has(client.user.id)) return;
+
+        this.states.set(client.user.id, this.createState());
+
+        const listeners = {
+            shardDisconnect: (event) => {
+                if (FATAL_CLOSE_CODES.includes(event?.code)) {
+                    this.quarantine(client, `Gateway closed the connection (code ${event.code})`);
+                    return;
+                }
+                this.recordDisconnect(client);
+            },
+            invalidated: () => {
+                this.quarantine(client, 'Gateway session was invalidated');
+            }
+        };
+        this.listeners.set(client.user.id, listeners);
+
+        Object.entries(listeners).forEach(([event, listener]) => client.on(event, listener));
+    }
+
+    detach(client) {
+        const listeners = this.listeners.get(client.user.id) || {};
+        Object.entries(listeners).forEach(([event, listener]) => client.off(event, listener));
+
+        this.listeners.delete(client.user.id);
+        this.states.delete(client.user.id);
+    }
+
+    getState(client) {
+        return this.states.get(client?.user?.id) || null;
+    }
+
+    recordSuccess(client) {
+        this.recordOutcome(client, true);
+    }
+
+    recordFailure(client, failure) {
+        if (failure.reason === 'clientRestricted') {
+            this.quarantine(client, failure.detail);
+            return;
+        }
+
+        if (COUNTED_FAILURES.includes(failure.reason)) {
+            this.recordOutcome(client, false);
+        }
+    }
+
+    recordOutcome(client, ok) {
+        const state = this.getState(client);
+        if (!state || state.quarantine) return;
+
+        const { window, maxErrorRate } = this.getLimits();
+        state.outcomes.push(ok);
+        state.outcomes = state.outcomes.slice(-window);
+
+        const errorRate = this.getErrorRate(client);
+        if (state.outcomes.length >= window && errorRate >= maxErrorRate) {
+            this.quarantine(client, `${Math.round(errorRate * 100)}% of the last ${window} DMs failed`);
+        }
+    }
+
+    recordDisconnect(client) {
+        const state = this.getState(client);
+        if (!state || state.quarantine) return;
+
+        const { maxDisconnects, disconnectWindow } = this.getLimits();
+        const now = Date.now();
+        state.disconnects = state.disconnects.filter(at => now - at < disconnectWindow).concat(now);
+
+        if (state.disconnects.length >= maxDisconnects) {
+            this.quarantine(client, `Disconnected from the gateway ${state.disconnects.length} times in ${formatTime(disconnectWindow)}`);
+        }
+    }
+
+    quarantine(client, reason) {
+        const state = this.getState(client);
+        if (!state || state.quarantine) return;
+
+        const { quarantineTime } = this.getLimits();
+        state.quarantine = { reason, since: Date.now(), until: Date.now() + quarantineTime };
+
+        logger.warn(`Client ${client.user.tag} quarantined for ${formatTime(quarantineTime)}: ${reason}`);
+        Promise.resolve(this.onQuarantine?.(client, state.quarantine)).catch(error => {
+            logger.error(`Failed to report quarantine of ${client.user.tag}: ${error.message}`);
+        });
+    }
+
+    isQuarantined(client) {
+        const state = this.getState(client);
+        if (!state?.quarantine) return false;
+
+        if (state.quarantine.until <= Date.now()) {
+            logger.info(`Client ${client.user.tag} released from quarantine and back on probation`);
+            this.states.set(client.user.id, this.createState());
+            return false;
+        }
+
+        return true;
+    }
+
+    getErrorRate(client) {
+        const outcomes = this.getState(client)?.outcomes || [];
+        if (outcomes.length === 0) return 0;
+
+        return outcomes.filter(ok => !ok).length / outcomes.length;
+    }
+
+    getStatus(client) {
+        return {
+            quarantined: this.isQuarantined(client),
+            quarantine: this.getState(client)?.quarantine || null,
+            errorRate: this.getErrorRate(client)
+        };
+    }
+}
+
+module.exports = new ClientHealth();
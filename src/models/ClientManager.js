@@ -0,0 +1,138 @@
+const { Client, Intents } = require('discord.js');
+const broadcastManager = require('./BroadcastManager');
+const { createLogger } = require('../utils/helpers');
+
+const logger = createLogger('ClientManager');
+
+class ClientManager {
+    constructor() {
+        // Tokens of bots added at runtime live only in memory and are gone
+        // after a restart; config.bot.tokens is the only persistent list.
+        this.tokens = new Map();
+        this.setupClient = null;
+        this.onPrimaryChange = null;
+    }
+
+    configure({ setupClient, onPrimaryChange }) {
+        this.setupClient = setupClient;
+        this.onPrimaryChange = onPrimaryChange;
+    }
+
+    getPrimary() {
+        return broadcastManager.clients[0] || null;
+    }
+
+    isPrimary(client) {
+        return this.getPrimary() === client;
+    }
+
+    createClient() {
+        const client = new Client({
+            intents: [
+                Intents.FLAGS.GUILDS,
+                Intents.FLAGS.GUILD_MESSAGES,
+                Intents.FLAGS.GUILD_MEMBERS,
+                Intents.FLAGS.GUILD_PRESENCES,
+                Intents.FLAGS.DIRECT_MESSAGES
+            ],
+            partials: ['CHANNEL']
+        });
+
+        this.setupClient?.(client);
+        return client;
+    }
+
+    async login(token) {
+        const client = this.createClient();
+
+        try {
+            await client.login(token);
+        } catch (error) {
+            client.destroy();
+            throw error;
+        }
+
+        this.tokens.set(client.user.id, token);
+        return client;
+    }
+
+    async add(token) {
+        const trimmed = (token || '').trim();
+        if (!trimmed) {
+            throw new Error('A bot token is required');
+        }
+
+        const client = await this.login(trimmed);
+        if (broadcastManager.getClient(client.user.id)) {
+            client.destroy();
+            throw new Error(`Client ${client.user.tag} is already connected`);
+        }
+
+        await broadcastManager.addClient(client);
+        logger.info(`Client ${client.user.tag} added at runtime`);
+        return client;
+    }
+
+    async remove(clientId) {
+        if (!clientId) {
+            throw new Error('A client ID is required');
+        }
+
+        const client = broadcastManager.getClient(clientId);
+        if (!client) {
+            throw new Error(`Client ${clientId} not found`);
+        }
+        if (broadcastManager.clients.length === 1) {
+            throw new Error('Cannot remove the last connected client');
+        }
+
+        const wasPrimary = this.getPrimary() === client;
+        broadcastManager.removeClient(client);
+        this.tokens.delete(clientId);
+        client.destroy();
+
+        logger.info(`Client ${client.user.tag} logged out and removed at runtime`);
+        if (wasPrimary) {
+            await this.announcePrimary();
+        }
+        return client;
+    }
+
+    async restart(clientId) {
+        if (!clientId) {
+            throw new Error('A client ID is required');
+        }
+
+        const client = broadcastManager.getClient(clientId);
+        const token = this.tokens.get(clientId);
+        if (!client || !token) {
+            throw new Error(`Client ${clientId} not found`);
+        }
+
+        const replacement = await this.login(token);
+        const wasPrimary = this.getPrimary() === client;
+        const position = broadcastManager.removeClient(client);
+        client.destroy();
+        await broadcastManager.addClient(replacement, position);
+
+        logger.info(`Client ${replacement.user.tag} restarted at runtime`);
+        if (wasPrimary) {
+            await this.announcePrimary();
+        }
+        return replacement;
+    }
+
+    async announcePrimary() {
+        const primary = this.getPrimary();
+        if (!primary) return;
+
+        logger.info(`Client ${primary.user.tag} is now handling commands and interactions`);
+        try {
+            await this.onPrimaryChange?.(primary);
+        } catch (error) {
+            logger.error(`Failed to hand over commands to ${primary.user.tag}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new ClientManager();
@@ -0,0 +1,126 @@
+const config = require('../../config');
+const { sleep, createLogger } = require('../utils/helpers');
+
+const logger = createLogger('ClientPacer');
+const BACKOFF_FACTOR = 0.5;
+const RECOVERY_STEP = 0.05;
+const DM_ROUTE_PATTERN = /^\/(channels\/\d+\/messages|users\/@me\/channels)$/;
+
+class ClientPacer {
+    constructor() {
+        this.states = new Map();
+    }
+
+    getLimits() {
+        const maxRate = Number(config.broadcast.maxRatePerClient) || 2;
+        const minRate = Math.min(Number(config.broadcast.minRatePerClient) || 0.2, maxRate);
+        return { maxRate, minRate };
+    }
+
+    getInitialRate(clientCount) {
+        const { maxRate, minRate } = this.getLimits();
+        const delay = config.broadcast.cooldownTime / Math.max(1, clientCount);
+        return Math.min(maxRate, Math.max(minRate, delay > 0 ? 1000 / delay : maxRate));
+    }
+
+    attach(client, clientCount) {
+        if (this.states.has(client.user.id)) return;
+
+        const state = {
+            rate: this.getInitialRate(clientCount),
+            blockedUntil: 0,
+            rateLimits: 0,
+            listeners: {}
+        };
+        this.states.set(client.user.id, state);
+
+        // The library emits rateLimit both before a request it has to queue and
+        // after a 429, so it only holds the client; apiResponse counts the 429.
+        state.listeners.rateLimit = (data) => {
+            if (data.global || DM_ROUTE_PATTERN.test(data.path)) {
+                this.holdUntil(client, Date.now() + (data.timeout || 0));
+            }
+        };
+
+        state.listeners.apiResponse = (request, response) => {
+            if (request.method !== 'post' || !DM_ROUTE_PATTERN.test(request.path)) return;
+
+            if (response.status === 429) {
+                const retryAfter = Number(response.headers.get('retry-after'));
+                this.recordRateLimit(client, Number.isFinite(retryAfter) ? retryAfter * 1000 : 0);
+                return;
+            }
+
+            const remaining = response.headers.get('x-ratelimit-remaining');
+            const resetAfter = Number(response.headers.get('x-ratelimit-reset-after'));
+            if (remaining === '0' && Number.isFinite(resetAfter)) {
+                this.holdUntil(client, Date.now() + resetAfter * 1000);
+            }
+        };
+
+        Object.entries(state.listeners).forEach(([event, listener]) => client.on(event, listener));
+    }
+
+    detach(client) {
+        const state = this.getState(client);
+        if (!state) return;
+
+        Object.entries(state.listeners).forEach(([event, listener]) => client.off(event, listener));
+        this.states.delete(client.user.id);
+    }
+
+    getState(client) {
+        return this.states.get(client?.user?.id) || null;
+    }
+
+    holdUntil(client, timestamp) {
+        const state = this.getState(client);
+        if (!state) return;
+
+        state.blockedUntil = Math.max(state.blockedUntil, timestamp);
+    }
+
+    recordRateLimit(client, retryAfter = 0) {
+        const state = this.getState(client);
+        if (!state) return;
+
+        const { minRate } = this.getLimits();
+        state.rate = Math.max(minRate, state.rate * BACKOFF_FACTOR);
+        state.rateLimits++;
+        this.holdUntil(client, Date.now() + (retryAfter || 0));
+
+        logger.warn(`Client ${client.user.tag} hit a rate limit, slowing down to ${state.rate.toFixed(2)} msg/sec`);
+    }
+
+    recordSuccess(client) {
+        const state = this.getState(client);
+        if (!state) return;
+
+        const { maxRate } = this.getLimits();
+        state.rate = Math.min(maxRate, state.rate + maxRate * RECOVERY_STEP);
+    }
+
+    async wait(client) {
+        const state = this.getState(client);
+        if (!state) {
+            await sleep(config.broadcast.cooldownTime);
+            return;
+        }
+
+        await sleep(Math.max(1000 / state.rate, state.blockedUntil - Date.now()));
+    }
+
+    getRate(client) {
+        return this.getState(client)?.rate || 0;
+    }
+
+    getTotalRate(clients) {
+        return clients.reduce((total, client) => total + this.getRate(client), 0);
+    }
+
+    getRateLimitCount(clients) {
+        return clients.reduce((total, client) => total + (this.getState(client)?.rateLimits || 0), 0);
+    }
+}
+
+module.exports = new ClientPacer();
@@ -0,0 +1,115 @@
+const { Collection } = require('discord.js');
+const config = require('../../config');
+const guildSettings = require('./GuildSettings');
+
+const { createLogger } = require('../utils/helpers');
+const { appendJsonLine, writeJsonLines, readJsonLines } = require('../utils/storage');
+
+const logger = createLogger('FrequencyCap');
+const DELIVERIES_FILE = 'deliveries.jsonl';
+
+class FrequencyCap {
+    constructor() {
+        this.deliveries = new Map();
+        this.compacted = false;
+        readJsonLines(DELIVERIES_FILE).forEach(entry => this.add(entry.id, entry.guildId, entry.at));
+    }
+
+    getLimits(guildId) {
+        const cap = config.broadcast.frequencyCap || {};
+        const guildMax = guildSettings.get(guildId)?.limits.maxBroadcasts;
+        return {
+            maxBroadcasts: Math.max(0, Number(guildMax ?? cap.maxBroadcasts) || 0),
+            window: Number(cap.window) || 24 * 60 * 60 * 1000
+        };
+    }
+
+    isEnabled(guildId) {
+        return this.getLimits(guildId).maxBroadcasts > 0;
+    }
+
+    getGuildDeliveries(guildId) {
+        if (!this.deliveries.has(guildId)) {
+            this.deliveries.set(guildId, new Map());
+        }
+        return this.deliveries.get(guildId);
+    }
+
+    add(memberId, guildId, at) {
+        const deliveries = this.getGuildDeliveries(guildId);
+        const times = deliveries.get(memberId) || [];
+        times.push(at);
+        deliveries.set(memberId, times);
+    }
+
+    getRecent(memberId, guildId) {
+        const deliveries = this.getGuildDeliveries(guildId);
+        const cutoff = Date.now() - this.getLimits(guildId).window;
+        const recent = (deliveries.get(memberId) || []).filter(at => at > cutoff);
+
+        if (recent.length > 0) {
+            deliveries.set(memberId, recent);
+        } else {
+            deliveries.delete(memberId);
+        }
+        return recent;
+    }
+
+    compact() {
+        const entries = [...this.deliveries.entries()]
+            .flatMap(([guildId, deliveries]) => [...deliveries.keys()]
+                .flatMap(memberId => this.getRecent(memberId, guildId).map(at => ({ id: memberId, guildId, at }))));
+
+        try {
+            writeJsonLines(DELIVERIES_FILE, entries);
+            this.compacted = true;
+        } catch (error) {
+            logger.error(`Failed to compact delivery log: ${error.message}`);
+        }
+    }
+
+    record(memberId, guildId) {
+        if (!this.isEnabled(guildId)) return;
+
+        const at = Date.now();
+        this.add(memberId, guildId, at);
+
+        // The log is rewritten without expired entries on the first delivery
+        // after startup, so the file is only created once capping is used.
+        if (!this.compacted) {
+            this.compact();
+            return;
+        }
+
+        try {
+            appendJsonLine(DELIVERIES_FILE, { id: memberId, guildId, at });
+        } catch (error) {
+            logger.error(`Failed to record delivery to ${memberId}: ${error.message}`);
+        }
+    }
+
+    isCapped(memberId, guildId) {
+        return this.getRecent(memberId, guildId).length >= this.getLimits(guildId).maxBroadcasts;
+    }
+
+    exclude(members, { override = false, guildId = null } = {}) {
+        if (!this.isEnabled(guildId)) {
+            return { members, cappedCount: 0 };
+        }
+
+        const included = new Collection();
+        let cappedCount = 0;
+
+        members.forEach((member, memberId) => {
+            if (this.isCapped(memberId, guildId)) {
+                cappedCount++;
+                if (!override) return;
+            }
+            included.set(memberId, member);
+        });
+
+        return { members: included, cappedCount };
+    }
+}
+
+module.exports = new FrequencyCap();
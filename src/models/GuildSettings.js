@@ -0,0 +1,122 @@
+const config = require('../../config');
+
+const { createLogger } = require('../utils/helpers');
+const { readJson, writeJson } = require('../utils/storage');
+
+const logger = createLogger('GuildSettings');
+const SETTINGS_FILE = 'guilds.json';
+
+const isSnowflake = (id) => /^\d{17,20}$/.test(id || '');
+const configuredId = (id) => (isSnowflake(id) ? id : null);
+
+class GuildSettings {
+    constructor() {
+        this.overrides = readJson(SETTINGS_FILE, {});
+    }
+
+    save() {
+        try {
+            writeJson(SETTINGS_FILE, this.overrides);
+        } catch (error) {
+            logger.error(`Failed to persist guild settings: ${error.message}`);
+        }
+    }
+
+    getDefaults(guildId) {
+        const legacy = guildId === configuredId(config.server?.guildId);
+
+        return {
+            broadcastRoleId: legacy ? configuredId(config.server.broadcastRoleId) : null,
+            reportChannelId: legacy ? configuredId(config.server.reportChannelId) : null,
+            language: null,
+            verification: {
+                enabled: Boolean(config.verification?.enabled),
+                logChannelId: legacy ? configuredId(config.verification?.logChannelId) : null
+            },
+            limits: {
+                maxRecipients: 0,
+                maxBroadcasts: null
+            }
+        };
+    }
+
+    has(guildId) {
+        return guildId === configuredId(config.server?.guildId) || Boolean(this.overrides[guildId]);
+    }
+
+    // Only the operator can let a server in, through config.server.allowedGuildIds
+    // or the dashboard; server administrators can then configure it themselves.
+    isAllowed(guildId) {
+        return this.has(guildId) || (config.server?.allowedGuildIds || []).includes(guildId);
+    }
+
+    get(guildId) {
+        if (!this.has(guildId)) return null;
+
+        const defaults = this.getDefaults(guildId);
+        const overrides = this.overrides[guildId] || {};
+
+        return {
+            ...defaults,
+            ...overrides,
+            guildId,
+            verification: { ...defaults.verification, ...overrides.verification },
+            limits: { ...defaults.limits, ...overrides.limits }
+        };
+    }
+
+    isConfigured(guildId) {
+        return Boolean(this.get(guildId)?.broadcastRoleId);
+    }
+
+    list() {
+        const ids = new Set(Object.keys(this.overrides));
+        const legacyId = configuredId(config.server?.guildId);
+        if (legacyId) ids.add(legacyId);
+
+        return [...ids].map(guildId => this.get(guildId));
+    }
+
+    listConfigured() {
+        return this.list().filter(settings => settings.broadcastRoleId);
+    }
+
+    update(guildId, changes) {
+        const current = this.overrides[guildId] || {};
+
+        this.overrides[guildId] = {
+            ...current,
+            ...changes,
+            verification: { ...current.verification, ...changes.verification },
+            limits: { ...current.limits, ...changes.limits }
+        };
+        this.save();
+
+        logger.info(`Settings for guild ${guildId} updated: ${Object.keys(changes).join(', ')}`);
+        return this.get(guildId);
+    }
+
+    remove(guildId) {
+        if (!this.overrides[guildId]) return false;
+
+        delete this.overrides[guildId];
+        this.save();
+
+        logger.info(`Settings for guild ${guildId} removed`);
+        return true;
+    }
+
+    getLanguage(guildId) {
+        return this.get(guildId)?.language || null;
+    }
+
+    getReportChannelId(guildId) {
+        return this.get(guildId)?.reportChannelId || null;
+    }
+
+    getReportChannelIds() {
+        return [...new Set(this.list().map(settings => settings.reportChannelId).filter(Boolean))];
+    }
+}
+
+module.exports = new GuildSettings();
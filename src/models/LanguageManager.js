@@ -1,6 +1,7 @@
 const { createLogger } = require('../utils/helpers');
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const logger = createLogger('LanguageManager');
 
@@ -8,6 +9,7 @@ class LanguageManager {
     constructor() {
         this.defaultLanguage = 'en';
         this.languages = {};
+        this.activeLanguage = new AsyncLocalStorage();
         this.loadAllLanguages();
     }
 
@@ -78,8 +80,16 @@ class LanguageManager {
         }
     }
 
+    run(langCode, callback) {
+        return this.activeLanguage.run(this.languages[langCode] ? langCode : this.defaultLanguage, callback);
+    }
+
+    getActiveLanguageCode() {
+        return this.activeLanguage.getStore() || this.defaultLanguage;
+    }
+
     getLanguage(langCode) {
-        const lang = langCode || this.defaultLanguage;
+        const lang = langCode || this.getActiveLanguageCode();
         return this.languages[lang] || this.languages.en;
     }
 
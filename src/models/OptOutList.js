@@ -0,0 +1,83 @@
+const { Collection } = require('discord.js');
+
+const { createLogger } = require('../utils/helpers');
+const { readJson, writeJson } = require('../utils/storage');
+
+const logger = createLogger('OptOutList');
+const OPTOUT_FILE = 'optouts.json';
+
+class OptOutList {
+    constructor() {
+        this.entries = readJson(OPTOUT_FILE, {});
+    }
+
+    save() {
+        try {
+            writeJson(OPTOUT_FILE, this.entries);
+        } catch (error) {
+            logger.error(`Failed to persist opt-out list: ${error.message}`);
+        }
+    }
+
+    getEntry(userId, guildId) {
+        return this.entries[guildId]?.[userId] || null;
+    }
+
+    has(userId, guildId) {
+        return Boolean(this.getEntry(userId, guildId));
+    }
+
+    isSelfService(userId, guildId) {
+        return this.getEntry(userId, guildId)?.source === 'dm';
+    }
+
+    add(userId, guildId, source) {
+        if (this.has(userId, guildId)) return false;
+
+        this.entries[guildId] = { ...this.entries[guildId], [userId]: { at: Date.now(), source } };
+        this.save();
+
+        logger.info(`User ${userId} opted out of broadcasts in guild ${guildId} (${source})`);
+        return true;
+    }
+
+    remove(userId, guildId) {
+        if (!this.has(userId, guildId)) return false;
+
+        delete this.entries[guildId][userId];
+        if (Object.keys(this.entries[guildId]).length === 0) {
+            delete this.entries[guildId];
+        }
+        this.save();
+
+        logger.info(`User ${userId} opted back in to broadcasts in guild ${guildId}`);
+        return true;
+    }
+
+    list(guildId) {
+        return Object.entries(this.entries[guildId] || {})
+            .map(([userId, entry]) => ({ userId, ...entry }))
+            .sort((a, b) => b.at - a.at);
+    }
+
+    count(guildId) {
+        return Object.keys(this.entries[guildId] || {}).length;
+    }
+
+    exclude(members, guildId) {
+        const included = new Collection();
+        let excludedCount = 0;
+
+        members.forEach((member, memberId) => {
+            if (this.has(memberId, guildId)) {
+                excludedCount++;
+            } else {
+                included.set(memberId, member);
+            }
+        });
+
+        return { members: included, excludedCount };
+    }
+}
+
+module.exports = new OptOutList();
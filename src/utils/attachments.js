@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const config = require('../../config');
+const { generateId } = require('./helpers');
+const { resolveDataPath } = require('./storage');
+
+const ATTACHMENT_DIR = 'attachments';
+const DOWNLOAD_TIMEOUT = 15000;
+const MAX_TEXT_FILE_SIZE = 1024 * 1024;
+
+const getAttachmentLimits = () => ({
+    maxCount: Number(config.broadcast.maxAttachments) || 10,
+    maxTotalSize: Number(config.broadcast.maxAttachmentSize) || 8 * 1024 * 1024
+});
+
+const formatBytes = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+};
+
+const validateAttachments = (attachments) => {
+    const { maxCount, maxTotalSize } = getAttachmentLimits();
+    const list = [...attachments.values()];
+    const totalSize = list.reduce((sum, attachment) => sum + (attachment.size || 0), 0);
+    const errors = [];
+
+    if (list.length > maxCount) {
+        errors.push(`Too many attachments (${list.length}/${maxCount})`);
+    }
+
+    if (totalSize > maxTotalSize) {
+        errors.push(`Attachments total ${formatBytes(totalSize)}, the limit is ${formatBytes(maxTotalSize)}`);
+    }
+
+    return errors;
+};
+
+const download = (url) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.get(target, (response) => {
+        if (response.statusCode !== 200) {
+            response.resume();
+            reject(new Error(`Download of ${target.pathname} failed with status ${response.statusCode}`));
+            return;
+        }
+
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve(Buffer.concat(chunks)));
+        response.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.setTimeout(DOWNLOAD_TIMEOUT, () => {
+        request.destroy(new Error(`Download of ${target.pathname} timed out`));
+    });
+});
+
+const storeAttachments = async (attachments) => {
+    const draftId = generateId();
+    const stored = [];
+
+    for (const [index, attachment] of [...attachments.values()].entries()) {
+        const data = await download(attachment.url);
+        const safeName = attachment.name.replace(/[^\w.\-]/g, '_');
+        const file = path.join(ATTACHMENT_DIR, draftId, `${index}-${safeName}`);
+
+        fs.writeFileSync(resolveDataPath(file), data);
+        stored.push({
+            name: attachment.name,
+            size: data.length,
+            contentType: attachment.contentType || null,
+            file
+        });
+    }
+
+    return stored;
+};
+
+const readAttachmentText = async (attachment) => {
+    if (attachment.size > MAX_TEXT_FILE_SIZE) {
+        throw new Error(`${attachment.name} is larger than ${formatBytes(MAX_TEXT_FILE_SIZE)}`);
+    }
+
+    return (await download(attachment.url)).toString('utf8');
+};
+
+const loadAttachmentFiles = (stored = []) => stored.map(attachment => ({
+    name: attachment.name,
+    attachment: fs.readFileSync(resolveDataPath(attachment.file))
+}));
+
+const removeAttachments = (stored = []) => {
+    const dirs = new Set(stored.map(attachment => path.dirname(resolveDataPath(attachment.file))));
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+};
+
+const describeAttachments = (stored = []) => stored
+    .map(attachment => `📎 ${attachment.name} (${formatBytes(attachment.size)})`)
+    .join('\n');
+
+module.exports = {
+    validateAttachments,
+    storeAttachments,
+    readAttachmentText,
+    loadAttachmentFiles,
+    removeAttachments,
+    describeAttachments
+};
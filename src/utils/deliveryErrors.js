@@ -0,0 +1,51 @@
+const PERMANENT_ERROR_CODES = {
+    50007: 'dmsClosed',
+    50013: 'missingPermissions',
+    10003: 'unknownUser',
+    10013: 'unknownUser'
+};
+
+const CLIENT_ERROR_CODES = [40001, 40002, 20026];
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const FAILURE_LABELS = {
+    dmsClosed: 'DMs are closed',
+    missingPermissions: 'Missing permissions',
+    unknownUser: 'Unknown user',
+    clientRestricted: 'Bot account restricted',
+    rateLimited: 'Rate limited',
+    serverError: 'Discord server error',
+    network: 'Network error',
+    optedOut: 'Opted out',
+    other: 'Other error'
+};
+
+const classifyDeliveryError = (error) => {
+    const status = error?.httpStatus || error?.status;
+    let reason = 'other';
+
+    if (PERMANENT_ERROR_CODES[error?.code]) {
+        reason = PERMANENT_ERROR_CODES[error.code];
+    } else if (CLIENT_ERROR_CODES.includes(error?.code) || status === 401) {
+        reason = 'clientRestricted';
+    } else if (status === 429 || error?.name === 'RateLimitError' || error?.timeout !== undefined) {
+        reason = 'rateLimited';
+    } else if (status >= 500 || (typeof error?.code === 'number' && error.code >= 500 && error.code < 600)) {
+        reason = 'serverError';
+    } else if (NETWORK_ERROR_CODES.includes(error?.code) || error?.name === 'AbortError') {
+        reason = 'network';
+    }
+
+    return {
+        reason,
+        transient: ['rateLimited', 'serverError', 'network', 'clientRestricted'].includes(reason),
+        retryAfter: typeof error?.timeout === 'number' ? error.timeout : null,
+        detail: reason === 'other' && error?.message ? error.message.substring(0, 100) : FAILURE_LABELS[reason]
+    };
+};
+
+module.exports = {
+    FAILURE_LABELS,
+    classifyDeliveryError
+};
@@ -0,0 +1,135 @@
+const { MessageEmbed } = require('discord.js');
+
+const { renderTemplate } = require('./templates');
+
+const EMBED_LIMITS = {
+    title: 256,
+    description: 4096,
+    footer: 2048,
+    fieldName: 256,
+    fieldValue: 1024,
+    fields: 25,
+    total: 6000
+};
+
+const HEADER_PATTERN = /^(title|colou?r|image|thumbnail|footer|field)\s*:\s*(.*)$/i;
+const COLOR_PATTERN = /^#?([0-9a-f]{6})$/i;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+const getEmbedTexts = (spec) => [
+    spec.title,
+    spec.description,
+    spec.footer,
+    ...(spec.fields || []).flatMap(field => [field.name, field.value])
+];
+
+const parseEmbedSpec = (input) => {
+    const spec = { fields: [] };
+    const errors = [];
+    const lines = input.split('\n');
+
+    let index = 0;
+    for (; index < lines.length; index++) {
+        const match = lines[index].trim().match(HEADER_PATTERN);
+        if (!match) break;
+
+        const key = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (key === 'field') {
+            const [name, ...rest] = value.split('|');
+            const fieldValue = rest.join('|').trim();
+            if (!name.trim() || !fieldValue) {
+                errors.push(`Field "${value}" must use the form: field: Name | Value`);
+                continue;
+            }
+            spec.fields.push({ name: name.trim(), value: fieldValue, inline: false });
+        } else if (key === 'color' || key === 'colour') {
+            const color = value.match(COLOR_PATTERN);
+            if (!color) {
+                errors.push(`Color "${value}" must be a hex code such as #5865F2`);
+                continue;
+            }
+            spec.color = `#${color[1].toUpperCase()}`;
+        } else {
+            spec[key] = value;
+        }
+    }
+
+    spec.description = lines.slice(index).join('\n').trim();
+
+    return { spec, errors: errors.concat(validateEmbedSpec(spec)) };
+};
+
+const validateEmbedSpec = (spec) => {
+    const errors = [];
+
+    if (!spec.title && !spec.description) {
+        errors.push('An embed needs at least a title or a description');
+    }
+    if ((spec.title || '').length > EMBED_LIMITS.title) {
+        errors.push(`Title is longer than ${EMBED_LIMITS.title} characters`);
+    }
+    if ((spec.description || '').length > EMBED_LIMITS.description) {
+        errors.push(`Description is longer than ${EMBED_LIMITS.description} characters`);
+    }
+    ['image', 'thumbnail'].forEach(key => {
+        if (spec[key] && !URL_PATTERN.test(spec[key])) {
+            errors.push(`${key} "${spec[key]}" must be an http(s) URL`);
+        }
+    });
+    if ((spec.footer || '').length > EMBED_LIMITS.footer) {
+        errors.push(`Footer is longer than ${EMBED_LIMITS.footer} characters`);
+    }
+    if (spec.fields.length > EMBED_LIMITS.fields) {
+        errors.push(`An embed can have at most ${EMBED_LIMITS.fields} fields`);
+    }
+    spec.fields.forEach(field => {
+        if (field.name.length > EMBED_LIMITS.fieldName || field.value.length > EMBED_LIMITS.fieldValue) {
+            errors.push(`Field "${field.name.slice(0, 30)}" exceeds the field size limits`);
+        }
+    });
+
+    const total = getEmbedTexts(spec)
+        .reduce((sum, text) => sum + (text || '').length, 0);
+    if (total > EMBED_LIMITS.total) {
+        errors.push(`The embed is longer than ${EMBED_LIMITS.total} characters in total`);
+    }
+
+    return errors;
+};
+
+const renderEmbedSpec = (spec, member) => ({
+    ...spec,
+    title: renderTemplate(spec.title, member),
+    description: renderTemplate(spec.description, member),
+    footer: renderTemplate(spec.footer, member),
+    fields: (spec.fields || []).map(field => ({
+        ...field,
+        name: renderTemplate(field.name, member),
+        value: renderTemplate(field.value, member)
+    }))
+});
+
+const buildBroadcastEmbed = (spec) => {
+    const embed = new MessageEmbed();
+
+    if (spec.title) embed.setTitle(spec.title);
+    if (spec.description) embed.setDescription(spec.description);
+    if (spec.color) embed.setColor(spec.color);
+    if (spec.image) embed.setImage(spec.image);
+    if (spec.thumbnail) embed.setThumbnail(spec.thumbnail);
+    if (spec.footer) embed.setFooter({ text: spec.footer });
+    if (spec.fields?.length) embed.addFields(spec.fields);
+
+    return embed;
+};
+
+module.exports = {
+    EMBED_LIMITS,
+    parseEmbedSpec,
+    validateEmbedSpec,
+    getEmbedTexts,
+    renderEmbedSpec,
+    buildBroadcastEmbed
+};
@@ -0,0 +1,29 @@
+const USER_TOKEN_PATTERN = /^(?:<@!?(\d{17,20})>|(\d{17,20}))$/;
+const USER_ID_PATTERN = /\d{17,20}/g;
+const LIST_FILE_PATTERN = /\.(txt|csv)$/i;
+
+const parseUserIds = (text = '') => {
+    const ids = new Set();
+    const invalid = [];
+
+    text.split(/[\s,;]+/).filter(Boolean).forEach(token => {
+        const match = token.match(USER_TOKEN_PATTERN);
+        if (match) {
+            ids.add(match[1] || match[2]);
+        } else {
+            invalid.push(token);
+        }
+    });
+
+    return { ids: [...ids], invalid };
+};
+
+const parseUserIdFile = (text = '') => [...new Set(text.match(USER_ID_PATTERN) || [])];
+
+const isUserListFile = (attachment) => LIST_FILE_PATTERN.test(attachment.name || '');
+
+module.exports = {
+    parseUserIds,
+    parseUserIdFile,
+    isUserListFile
+};
@@ -0,0 +1,222 @@
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})$/;
+const OFFSET_PATTERN = /^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i;
+const EVERY_PATTERN = /^every\s+([a-z,\s]+?)\s+(?:at\s+)?(\d{1,2}):(\d{2})$/i;
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_GROUPS = {
+    day: '*',
+    daily: '*',
+    weekday: '1-5',
+    weekdays: '1-5',
+    weekend: '0,6',
+    weekends: '0,6'
+};
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const getTimeZoneOffset = (timestamp, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(timestamp));
+
+    const values = {};
+    parts.forEach(part => {
+        values[part.type] = Number(part.value);
+    });
+
+    const asUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+const resolveTimeZone = (input) => {
+    const value = String(input || '').trim();
+
+    if (!value || /^(utc|gmt|z)$/i.test(value)) {
+        return { name: 'UTC', offsetMinutes: 0 };
+    }
+
+    const offsetMatch = value.match(OFFSET_PATTERN);
+    if (offsetMatch) {
+        const [, sign, hours, minutes = '0'] = offsetMatch;
+        const offsetMinutes = (Number(hours) * 60 + Number(minutes)) * (sign === '-' ? -1 : 1);
+        if (Math.abs(offsetMinutes) > 14 * 60) return null;
+        return { name: `UTC${sign}${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}`, offsetMinutes };
+    }
+
+    try {
+        const name = new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+        return { name };
+    } catch (error) {
+        return null;
+    }
+};
+
+const getZoneOffset = (timestamp, zone) => {
+    return zone.offsetMinutes !== undefined
+        ? zone.offsetMinutes * 60000
+        : getTimeZoneOffset(timestamp, zone.name);
+};
+
+const parseDateTime = (input, timeZone) => {
+    const match = String(input || '').trim().match(DATE_TIME_PATTERN);
+    if (!match) return null;
+
+    const zone = resolveTimeZone(timeZone);
+    if (!zone) return null;
+
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const check = new Date(wallClock);
+
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 ||
+        check.getUTCDate() !== day || check.getUTCHours() !== hour) {
+        return null;
+    }
+
+    const firstGuess = wallClock - getZoneOffset(wallClock, zone);
+    return wallClock - getZoneOffset(firstGuess, zone);
+};
+
+const resolveDayName = (value) => {
+    const name = value.toLowerCase().replace(/s$/, '');
+    if (DAY_GROUPS[value.toLowerCase()]) return DAY_GROUPS[value.toLowerCase()];
+
+    const index = DAY_NAMES.findIndex(day => day === name || day.slice(0, 3) === name);
+    return index === -1 ? null : String(index);
+};
+
+const naturalToCron = (input) => {
+    const match = input.match(EVERY_PATTERN);
+    if (!match) return null;
+
+    const [, daysPart, hour, minute] = match;
+    if (Number(hour) > 23 || Number(minute) > 59) return null;
+
+    const days = daysPart.split(/[\s,]+|\band\b/i).filter(Boolean).map(resolveDayName);
+    if (days.length === 0 || days.includes(null)) return null;
+
+    const dayOfWeek = days.includes('*') ? '*' : [...new Set(days)].join(',');
+    return `${Number(minute)} ${Number(hour)} * * ${dayOfWeek}`;
+};
+
+const parseCronField = (value, { min, max }) => {
+    const allowed = new Set();
+
+    for (const part of value.split(',')) {
+        const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+        if (!match) return null;
+
+        const [, start, end, step] = match;
+        const from = start === '*' ? min : Number(start);
+        const to = start === '*' ? max : end !== undefined ? Number(end) : step ? max : from;
+        const increment = step ? Number(step) : 1;
+
+        if (from < min || to > max || from > to || increment < 1) return null;
+
+        for (let i = from; i <= to; i += increment) {
+            allowed.add(i);
+        }
+    }
+
+    return allowed;
+};
+
+const parseCron = (input) => {
+    const value = String(input || '').trim();
+    const expression = /^every\s/i.test(value) ? naturalToCron(value) : value;
+    if (!expression) return null;
+
+    const parts = expression.split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) return null;
+
+    const fields = {};
+    for (let i = 0; i < parts.length; i++) {
+        const allowed = parseCronField(parts[i], CRON_FIELDS[i]);
+        if (!allowed) return null;
+        fields[CRON_FIELDS[i].name] = allowed;
+    }
+
+    if (fields.dayOfWeek.has(7)) {
+        fields.dayOfWeek.add(0);
+    }
+
+    return {
+        expression,
+        fields,
+        restrictedDayOfMonth: parts[2] !== '*',
+        restrictedDayOfWeek: parts[4] !== '*'
+    };
+};
+
+const matchesCronDay = (cron, date) => {
+    const dayOfMonth = cron.fields.dayOfMonth.has(date.getUTCDate());
+    const dayOfWeek = cron.fields.dayOfWeek.has(date.getUTCDay());
+
+    if (cron.restrictedDayOfMonth && cron.restrictedDayOfWeek) {
+        return dayOfMonth || dayOfWeek;
+    }
+
+    return dayOfMonth && dayOfWeek;
+};
+
+const getNextCronRun = (input, after, timeZone) => {
+    const cron = typeof input === 'string' ? parseCron(input) : input;
+    const zone = resolveTimeZone(timeZone);
+    if (!cron || !zone) return null;
+
+    let wallClock = Math.floor((after + getZoneOffset(after, zone)) / MINUTE) * MINUTE + MINUTE;
+    const limit = wallClock + MAX_SEARCH_DAYS * DAY;
+
+    while (wallClock < limit) {
+        const date = new Date(wallClock);
+
+        if (!cron.fields.month.has(date.getUTCMonth() + 1) || !matchesCronDay(cron, date)) {
+            wallClock = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+            continue;
+        }
+
+        if (!cron.fields.hour.has(date.getUTCHours())) {
+            wallClock = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours() + 1);
+            continue;
+        }
+
+        if (!cron.fields.minute.has(date.getUTCMinutes())) {
+            wallClock += MINUTE;
+            continue;
+        }
+
+        const firstGuess = wallClock - getZoneOffset(wallClock, zone);
+        const runAt = wallClock - getZoneOffset(firstGuess, zone);
+        if (runAt > after) return runAt;
+
+        wallClock += MINUTE;
+    }
+
+    return null;
+};
+
+module.exports = {
+    resolveTimeZone,
+    getZoneOffset,
+    parseDateTime,
+    parseCron,
+    getNextCronRun
+};
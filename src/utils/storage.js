@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../../config');
+const { createLogger } = require('./helpers');
+
+const logger = createLogger('Storage');
+
+const getDataDir = () => {
+    const dataDir = config.storage?.dataDir || 'data';
+    return path.isAbsolute(dataDir) ? dataDir : path.join(__dirname, '..', '..', dataDir);
+};
+
+const resolveDataPath = (fileName) => {
+    const filePath = path.join(getDataDir(), fileName);
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    return filePath;
+};
+
+const readJson = (fileName, fallback) => {
+    const filePath = resolveDataPath(fileName);
+    if (!fs.existsSync(filePath)) return fallback;
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        logger.error(`Failed to read ${fileName}: ${error.message}`);
+        return fallback;
+    }
+};
+
+const writeJson = (fileName, data) => {
+    const filePath = resolveDataPath(fileName);
+    const tempPath = `${filePath}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+};
+
+const appendJsonLine = (fileName, entry) => {
+    fs.appendFileSync(resolveDataPath(fileName), `${JSON.stringify(entry)}\n`);
+};
+
+const writeJsonLines = (fileName, entries) => {
+    const filePath = resolveDataPath(fileName);
+    const tempPath = `${filePath}.tmp`;
+
+    fs.writeFileSync(tempPath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    fs.renameSync(tempPath, filePath);
+};
+
+const readJsonLines = (fileName) => {
+    const filePath = resolveDataPath(fileName);
+    if (!fs.existsSync(filePath)) return [];
+
+    const entries = [];
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            logger.warn(`Skipping corrupt line ${index + 1} in ${fileName}`);
+        }
+    });
+
+    return entries;
+};
+
+const listDataFiles = (dirName, extension = '') => {
+    const dirPath = path.join(getDataDir(), dirName);
+    if (!fs.existsSync(dirPath)) return [];
+
+    return fs.readdirSync(dirPath)
+        .filter(file => file.endsWith(extension))
+        .map(file => path.join(dirName, file));
+};
+
+const removeDataFile = (fileName) => {
+    const filePath = path.join(getDataDir(), fileName);
+    if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+    }
+};
+
+module.exports = {
+    resolveDataPath,
+    readJson,
+    writeJson,
+    appendJsonLine,
+    writeJsonLines,
+    readJsonLines,
+    listDataFiles,
+    removeDataFile
+};
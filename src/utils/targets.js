@@ -0,0 +1,89 @@
+const { Collection } = require('discord.js');
+
+const ONLINE_STATUSES = ['online', 'idle', 'dnd'];
+const FILTER_FLAGS = ['booster', 'nickname', 'pending', 'dnd', 'idle'];
+const DAY = 24 * 60 * 60 * 1000;
+const MEMBER_FETCH_BATCH = 100;
+
+const matchesFilters = (member, filters = {}) => {
+    if (filters.joinedAfter && !(member.joinedTimestamp > filters.joinedAfter)) return false;
+    if (filters.joinedBefore && !(member.joinedTimestamp < filters.joinedBefore)) return false;
+    if (filters.minAccountAgeDays && Date.now() - member.user.createdTimestamp < filters.minAccountAgeDays * DAY) return false;
+    if (filters.booster && !member.premiumSince) return false;
+    if (filters.nickname && !member.nickname) return false;
+    if (filters.pending && !member.pending) return false;
+    if (filters.statuses?.length && !filters.statuses.includes(member.presence?.status)) return false;
+
+    return true;
+};
+
+const matchesRoleFilter = (member, target) => {
+    const include = target.include || [];
+    const exclude = target.exclude || [];
+
+    if (exclude.some(roleId => member.roles.cache.has(roleId))) return false;
+    if (include.length === 0) return true;
+
+    return target.match === 'all'
+        ? include.every(roleId => member.roles.cache.has(roleId))
+        : include.some(roleId => member.roles.cache.has(roleId));
+};
+
+const resolveTargetMembers = async (guild, target) => {
+    const members = await resolveModeMembers(guild, target);
+    return target.filters ? members.filter(member => matchesFilters(member, target.filters)) : members;
+};
+
+const resolveModeMembers = async (guild, target) => {
+    if (target.type === 'user') {
+        const member = await guild.members.fetch(target.userId).catch(() => null);
+        return new Collection(member && !member.user.bot ? [[member.id, member]] : []);
+    }
+
+    if (target.type === 'users') {
+        const members = new Collection();
+        for (let i = 0; i < target.userIds.length; i += MEMBER_FETCH_BATCH) {
+            const batch = target.userIds.slice(i, i + MEMBER_FETCH_BATCH);
+            const fetched = await guild.members.fetch({ user: batch, withPresences: true }).catch(() => new Collection());
+            fetched.forEach(member => {
+                if (!member.user.bot) members.set(member.id, member);
+            });
+        }
+        return members;
+    }
+
+    await guild.members.fetch({ withPresences: true });
+    const members = guild.members.cache.filter(member => !member.user.bot);
+
+    switch (target.type) {
+        case 'all':
+            return members;
+
+        case 'online':
+            return members.filter(member =>
+                member.presence && ONLINE_STATUSES.includes(member.presence.status)
+            );
+
+        case 'offline':
+            return members.filter(member =>
+                !member.presence || member.presence.status === 'offline'
+            );
+
+        case 'role':
+            return members.filter(member => member.roles.cache.has(target.roleId));
+
+        case 'roles':
+            return members.filter(member => matchesRoleFilter(member, target));
+
+        default:
+            return new Collection();
+    }
+};
+
+module.exports = {
+    ONLINE_STATUSES,
+    FILTER_FLAGS,
+    matchesFilters,
+    matchesRoleFilter,
+    resolveTargetMembers
+};
@@ -0,0 +1,57 @@
+const config = require('../../config');
+
+const PLACEHOLDERS = {
+    user: (member) => `<@${member.id}>`,
+    username: (member) => member.user?.username || member.id,
+    nickname: (member) => member.nickname || member.user?.username || member.id,
+    server: (member) => member.guild?.name || '',
+    memberCount: (member) => String(member.guild?.memberCount ?? ''),
+    joinedAt: (member) => member.joinedTimestamp ? `<t:${Math.floor(member.joinedTimestamp / 1000)}:D>` : ''
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// A member whose placeholders expand to the longest values Discord allows,
+// used to check a draft before it is rendered for real recipients.
+const LONGEST_MEMBER = {
+    id: '9'.repeat(20),
+    nickname: 'x'.repeat(32),
+    user: { username: 'x'.repeat(32) },
+    guild: { name: 'x'.repeat(100), memberCount: 9999999999 },
+    joinedTimestamp: 9999999999999
+};
+
+const getSignature = () => config.broadcast.signature ?? '{user}';
+
+const findUnknownPlaceholders = (texts) => {
+    const unknown = new Set();
+
+    texts.filter(Boolean).forEach(text => {
+        for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+            if (!PLACEHOLDERS[name]) unknown.add(`{${name}}`);
+        }
+    });
+
+    return [...unknown];
+};
+
+const renderTemplate = (text, member) => {
+    if (!text) return text;
+    return text.replace(PLACEHOLDER_PATTERN, (match, name) => PLACEHOLDERS[name] ? PLACEHOLDERS[name](member) : match);
+};
+
+const renderMessage = (message, member) => {
+    const signature = renderTemplate(getSignature(), member);
+    const body = renderTemplate(message, member);
+
+    return signature ? `${body}\n\n${signature}` : body;
+};
+
+module.exports = {
+    PLACEHOLDER_NAMES: Object.keys(PLACEHOLDERS),
+    LONGEST_MEMBER,
+    getSignature,
+    findUnknownPlaceholders,
+    renderTemplate,
+    renderMessage
+};